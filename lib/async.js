@@ -1,47 +1,23 @@
 define([
     "lib/util",
-    "lib/errors",
     "lib/events",
-    "async/script",
-    "async/xhr"
+    "lib/async/types",
+    "lib/async/retry",
+    "lib/async/interceptors",
+    "lib/async/cache"
 ], function (
     util,
-    errors,
     events,
-    script,
-    xhr
+    types,
+    retry,
+    interceptors,
+    cache
 ) {
 
     "use strict";
 
     const NAMESPACE = "async";
 
-    var types = (function () {
-
-        var innerTypes = {
-            SCRIPT: script
-        };
-        var xhrMethods = [
-            "GET",
-            "POST",
-            "PUT",
-            "DELETE"
-        ];
-
-        xhrMethods.forEach(function (method) {
-
-            types[method] = function (settings) {
-
-                return xhr(util.Object.assign({
-                    method: method
-                }, settings));
-
-            };
-
-        });
-
-    }());
-
     var removeEmpty = function (array) {
         return util.Array.filter(array, util.Function.identity);
     };
@@ -50,11 +26,33 @@ define([
         events.trigger(removeEmpty(parts).join("-"), detail);
     };
 
+    // Milliseconds before a request times out, 0 meaning that it never does.
+    var defaultTimeout = 0;
+
+    // Interceptors that are used by every request.
+    var globalInterceptors = interceptors.create();
+
     var asyncFunc = function () {
 
+        // Functions that stop each of the requests that are in flight.
+        var pending = [];
+        var instanceInterceptors = interceptors.create();
+
+        // Copies the settings so that interceptors and request types can
+        // change them without affecting the next request.
+        function getSettings() {
+
+            return util.Object.assign({}, async.data, {
+                headers: util.Object.assign({}, async.data.headers),
+                validators: async.data.validators.slice()
+            });
+
+        }
+
         var async = {
 
             data: {
+                headers: {},
                 validators: []
             },
 
@@ -64,12 +62,34 @@ define([
 
             setType: function (type) {
 
+                var factory = types.get(type);
 
-                if (!types[type]) {
+                if (!factory) {
                     throw new TypeError("Unrecognised async type " + type);
                 }
 
-                async.handle = types[type](async.data);
+                async.handle = function (resolve, reject, settings) {
+
+                    var prepared = settings || getSettings();
+                    // The request types set the method.
+                    var handler = factory(prepared);
+
+                    if (
+                        prepared.cache
+                        && util.String.interpret(prepared.method || "GET")
+                            .toUpperCase() === "GET"
+                    ) {
+                        return cache.request(
+                            prepared,
+                            handler,
+                            resolve,
+                            reject
+                        );
+                    }
+
+                    return handler(resolve, reject);
+
+                };
 
                 return async;
 
@@ -83,39 +103,237 @@ define([
 
             },
 
+            // Headers are added to the ones already set, a value of null
+            // removing the header (see [[body.prepare]]).
+            setHeaders: function (headers) {
+
+                util.Object.assign(async.data.headers, headers);
+
+                return async;
+
+            },
+
+            addInterceptor: function (interceptor) {
+
+                instanceInterceptors.add(interceptor);
+
+                return async;
+
+            },
+
+            removeInterceptor: function (interceptor) {
+
+                instanceInterceptors.remove(interceptor);
+
+                return async;
+
+            },
+
             request: function () {
 
-                return new Promise(function (resolve, reject) {
+                var timeout = async.data.timeout === undefined
+                    ? defaultTimeout
+                    : async.data.timeout;
+                var policy = retry.getPolicy(async.data.retry);
+                // Stops whichever attempt or wait is currently happening.
+                var current;
+                var stopped;
+
+                function stop(reason) {
+
+                    stopped = reason;
+                    current(reason);
+
+                }
+
+                function getStopped(reason) {
+
+                    return {
+                        status: 0,
+                        statusText: reason,
+                        response: undefined,
+                        reason: reason
+                    };
+
+                }
+
+                // Waits before the next attempt, the wait being stopped by an
+                // abort.
+                function wait(response, attempt) {
+
+                    var delay = retry.getDelay(policy, response, attempt);
+
+                    trigger([NAMESPACE, "retry", async.data.name], {
+                        attempt: attempt + 1,
+                        delay: delay,
+                        response: response
+                    });
+
+                    return new Promise(function (resolve, reject) {
+
+                        var timer = setTimeout(resolve, delay);
+
+                        current = function (reason) {
+
+                            clearTimeout(timer);
+                            reject(getStopped(reason));
+
+                        };
+
+                    });
+
+                }
+
+                function send(attempt) {
+
+                    var settings = getSettings();
+                    var list = globalInterceptors.get().concat(
+                        instanceInterceptors.get()
+                    );
+                    var isStopped = false;
+                    var timer;
+
+                    return new Promise(function (resolve, reject) {
+
+                        var cancel;
+
+                        // Rejects the attempt without waiting for the handler,
+                        // "reason" being either "abort" or "timeout".
+                        current = function (reason) {
+
+                            isStopped = true;
+
+                            // Cancelling an XMLHttpRequest settles it straight
+                            // away so the attempt has to be rejected first.
+                            reject(getStopped(reason));
+
+                            if (typeof cancel === "function") {
+                                cancel();
+                            }
+
+                        };
+
+                        if (timeout > 0) {
+                            timer = setTimeout(current, timeout, "timeout");
+                        }
+
+                        interceptors.request(list, settings).then(
+                            function (prepared) {
 
-                    trigger([NAMESPACE, "start", async.name]);
+                                settings = prepared;
 
-                    return async.handle(resolve, reject);
+                                if (!isStopped) {
+                                    cancel = async.handle(
+                                        resolve,
+                                        reject,
+                                        prepared
+                                    );
+                                }
+
+                            }
+                        ).catch(reject);
+
+                    }).finally(function () {
+                        clearTimeout(timer);
+                    }).then(function (response) {
+
+                        // Responses pass back through the interceptors in
+                        // reverse, the first one added seeing the final result.
+                        return interceptors.response(
+                            list.reverse(),
+                            response,
+                            settings
+                        );
+
+                    }, function (response) {
+
+                        // Retrying is decided on the response as it arrived,
+                        // before the error interceptors can change it.
+                        if (
+                            !stopped
+                            && retry.isRetryable(policy, response, attempt)
+                        ) {
+                            return wait(response, attempt).then(function () {
+                                return send(attempt + 1);
+                            });
+                        }
+
+                        // Aborts and timeouts have no response to change.
+                        if (isStopped) {
+                            return Promise.reject(response);
+                        }
+
+                        return interceptors.error(
+                            list.reverse(),
+                            response,
+                            settings
+                        );
+
+                    });
+
+                }
+
+                pending.push(stop);
+                trigger([NAMESPACE, "start", async.data.name]);
+
+                return send(1).finally(function () {
+
+                    pending = pending.filter(function (other) {
+                        return other !== stop;
+                    });
 
                 }).then(function (response) {
 
-                    trigger([NAMESPACE, "complete", async.name], response);
-                    trigger([NAMESPACE, "success", async.name], response);
+                    trigger([NAMESPACE, "complete", async.data.name], response);
+                    trigger([NAMESPACE, "success", async.data.name], response);
 
                     return response;
 
                 }, function (response) {
 
-                    trigger([NAMESPACE, "complete", async.name], response);
-                    trigger([NAMESPACE, "failure", async.name], response);
+                    var reason = response && response.reason;
+
+                    trigger([NAMESPACE, "complete", async.data.name], response);
+                    trigger([
+                        NAMESPACE,
+                        (reason === "abort" || reason === "timeout")
+                            ? reason
+                            : "failure",
+                        async.data.name
+                    ], response);
 
                     return response;
 
                 });
 
+            },
+
+            abort: function () {
+
+                pending.forEach(function (stop) {
+                    stop("abort");
+                });
+
+                return async;
+
             }
 
         };
 
         util.Array.forEach([
             "data",
+            "query",
             "name",
             "url",
-            "decode"
+            "decode",
+            "method",
+            "credentials",
+            "mode",
+            "signal",
+            "stream",
+            "timeout",
+            "retry",
+            "cache"
         ], function (key) {
 
             async["set" + util.String.toUpperFirst(key)] = function (value) {
@@ -132,6 +350,86 @@ define([
 
     };
 
+    /**
+     *  async.types
+     *
+     *  The registry of request types (see [[types.add]]). The `GET`, `POST`,
+     *  `PUT`, `DELETE`, `PATCH`, `HEAD` and `OPTIONS` types make an
+     *  `XMLHttpRequest` with that method, the `FETCH` type uses the Fetch API
+     *  (see [[fetch]]) and the `SCRIPT` type loads a script.
+     *
+     *      async.types.add("JSONP", makeJsonpHandler);
+     *      async().setType("JSONP");
+     *
+     **/
+    asyncFunc.types = types;
+
+    /**
+     *  async.interceptors
+     *
+     *  Interceptors that are used by every request (see
+     *  [[interceptors.create]]). Interceptors added to an async instance with
+     *  `addInterceptor` are run after these before a request is sent and
+     *  before these once the response has arrived. They are run for each
+     *  attempt of a request that is retried, except for `error` which is
+     *  only called once the request has failed without being retried again,
+     *  and never when it is aborted or times out.
+     *
+     *      async.interceptors.add({
+     *          request: function (settings) {
+     *              settings.headers.Authorization = "Bearer " + getToken();
+     *          },
+     *          error: function (response) {
+     *              return normaliseError(response);
+     *          }
+     *      });
+     *
+     **/
+    asyncFunc.interceptors = globalInterceptors;
+
+    /**
+     *  async.cache
+     *
+     *  The cache for the responses of GET requests (see [[cache.request]]).
+     *  Caching is turned on for an async instance with its `setCache`
+     *  function. Once the data changes, the cached responses can be removed.
+     *
+     *      var storage = async.cache.createLocalStorage();
+     *      var request = async().setType("GET");
+     *      request.setUrl("/api/users");
+     *      request.setCache({ttl: 300000, storage: storage});
+     *
+     *      // After a user is saved.
+     *      async.cache.invalidate("/api/users", storage);
+     *
+     **/
+    asyncFunc.cache = cache;
+
+    /**
+     *  async.setDefaultTimeout(timeout)
+     *  - timeout (Number): Milliseconds before a request times out.
+     *
+     *  Sets the timeout of every request which hasn't been given one with
+     *  `setTimeout`. A timeout of `0` (the default) means that requests never
+     *  time out.
+     *
+     *      async.setDefaultTimeout(5000);
+     *      var request = async().setType("GET");
+     *      request.setUrl("/api/slow");
+     *      request.setTimeout(10000); // Overrides the default.
+     *      request.request();
+     *      request.abort(); // Cancels every request that is still in flight.
+     *
+     *  A request that times out or is aborted settles with a `status` of `0`
+     *  and a `reason` of either `"timeout"` or `"abort"`. Instead of the
+     *  "failure" event, an "async-timeout-<name>" or "async-abort-<name>"
+     *  event is triggered after the "complete" event. Requests that are
+     *  retried (see [[retry.getPolicy]]) have the timeout for each attempt.
+     **/
+    asyncFunc.setDefaultTimeout = function (timeout) {
+        defaultTimeout = Math.max(0, Number(timeout) || 0);
+    };
+
     return asyncFunc;
 
 });
@@ -0,0 +1,257 @@
+/*jslint browser */
+define([
+    "lib/util"
+], function (
+    util
+) {
+
+    "use strict";
+
+    // Works out the URL, headers and body that a request is sent with.
+    var body = {};
+
+    const FORM_TYPE = "application/x-www-form-urlencoded";
+
+    var serialisers = {};
+
+    /**
+     *  body.add(type, serialiser)
+     *  - type (String): Media type of the body, such as `"application/json"`.
+     *  - serialiser (Function): Function that converts data into the body.
+     *
+     *  Adds a serialiser for the body of requests whose "Content-Type" header
+     *  has the given media type. The serialiser is passed the data of the
+     *  request and should return something that the browser can send.
+     *
+     *      body.add("text/csv", function (rows) {
+     *          return rows.map(function (row) {
+     *              return row.join(",");
+     *          }).join("\n");
+     *      });
+     *
+     *  Media types are not case-sensitive and types ending in `+json` are
+     *  sent as JSON unless they have their own serialiser.
+     **/
+    function add(type, serialiser) {
+
+        if (typeof serialiser !== "function") {
+            throw new TypeError(
+                "Serialiser for " + type + " must be a function"
+            );
+        }
+
+        serialisers[util.String.interpret(type).toLowerCase()] = serialiser;
+
+    }
+
+    function getMediaType(contentType) {
+
+        return util.String.interpret(contentType)
+            .split(";")[0]
+            .trim()
+            .toLowerCase();
+
+    }
+
+    function getSerialiser(type) {
+
+        if (util.Object.owns(serialisers, type)) {
+            return serialisers[type];
+        }
+
+        return (/\+json$/).test(type)
+            ? serialisers["application/json"]
+            : serialisers[FORM_TYPE];
+
+    }
+
+    // Headers are case-insensitive so this finds the name that was used.
+    function findHeader(headers, name) {
+
+        var lower = name.toLowerCase();
+
+        return util.Array.first(Object.keys(headers), function (key) {
+            return key.toLowerCase() === lower;
+        });
+
+    }
+
+    // Checks to see whether the data is something that the browser can send
+    // without it being converted first.
+    function isNative(data) {
+
+        return typeof data === "string"
+            || [
+                "Blob",
+                "FormData",
+                "URLSearchParams",
+                "ArrayBuffer",
+                "ReadableStream"
+            ].some(function (name) {
+
+                return typeof window[name] === "function"
+                    && data instanceof window[name];
+
+            })
+            || (typeof ArrayBuffer === "function" && ArrayBuffer.isView(data));
+
+    }
+
+    function addQuery(url, data) {
+
+        var query = (
+            typeof data === "string"
+            || (
+                typeof URLSearchParams === "function"
+                && data instanceof URLSearchParams
+            )
+        )
+            ? String(data)
+            : util.Object.toQuery(data);
+
+        if (!query) {
+            return url;
+        }
+
+        return url + (
+            url.indexOf("?") > -1
+                ? "&"
+                : "?"
+        ) + query;
+
+    }
+
+    function toFormData(data) {
+
+        var form = new FormData();
+
+        util.Object.each(data, function (key, value) {
+
+            [].concat(value).forEach(function (entry) {
+
+                if (entry !== undefined && entry !== null) {
+                    form.append(key, entry);
+                }
+
+            });
+
+        });
+
+        return form;
+
+    }
+
+    /**
+     *  body.prepare(settings) -> Object
+     *  - settings (Object): Settings of the request.
+     *
+     *  Gets the `url`, `headers` and `body` that the request is sent with. The
+     *  `query` of the settings is always added to the URL. The `data` is also
+     *  added to the URL of `GET` and `HEAD` requests, otherwise it becomes the
+     *  body.
+     *
+     *      body.prepare({
+     *          method: "POST",
+     *          url: "/api/users",
+     *          query: {notify: true},
+     *          headers: {"Content-Type": "application/json"},
+     *          data: {name: "a"}
+     *      });
+     *      // -> {
+     *      //     url: "/api/users?notify=true",
+     *      //     headers: {
+     *      //         "X-Requested-With": "XMLHttpRequest",
+     *      //         "Content-Type": "application/json"
+     *      //     },
+     *      //     body: "{\"name\":\"a\"}"
+     *      // }
+     *
+     *  The data is converted using the serialiser for the "Content-Type"
+     *  header (see [[body.add]]), which is
+     *  `application/x-www-form-urlencoded` if no header is given. JSON,
+     *  `multipart/form-data` and plain text are understood as well. Strings,
+     *  `Blob`s, `FormData`, `URLSearchParams`, buffers and streams are sent as
+     *  they are. The "Content-Type" header is left out of `FormData` bodies
+     *  so that the browser can add the boundary. A header with a value of
+     *  `null` isn't sent, which can be used to remove "X-Requested-With".
+     **/
+    function prepare(settings) {
+
+        var method = util.String.interpret(settings.method || "GET")
+            .toUpperCase();
+        var headers = util.Object.assign({
+            "X-Requested-With": "XMLHttpRequest"
+        }, settings.headers);
+        var url = addQuery(
+            util.String.interpret(settings.url),
+            settings.query
+        );
+        var data = settings.data;
+        var name = findHeader(headers, "Content-Type");
+
+        // HEAD requests can't have a body so their data is sent as a query.
+        if (method === "GET" || method === "HEAD") {
+
+            url = addQuery(url, data);
+            data = undefined;
+
+        } else if (data !== undefined && data !== null && !isNative(data)) {
+
+            data = getSerialiser(
+                name === undefined
+                    ? FORM_TYPE
+                    : getMediaType(headers[name])
+            )(data);
+
+            if (name === undefined && data) {
+
+                name = "Content-Type";
+                headers[name] = FORM_TYPE + "; charset=UTF-8";
+
+            }
+
+        }
+
+        if (data === "" || data === null) {
+            data = undefined;
+        }
+
+        if (
+            name !== undefined
+            && (
+                data === undefined
+                || (typeof FormData === "function" && data instanceof FormData)
+            )
+        ) {
+            delete headers[name];
+        }
+
+        util.Object.each(headers, function (key, value) {
+
+            if (value === null || value === undefined) {
+                delete headers[key];
+            }
+
+        });
+
+        return {
+            url: url,
+            headers: headers,
+            body: data
+        };
+
+    }
+
+    add(FORM_TYPE, util.Object.toQuery);
+    add("application/json", JSON.stringify);
+    add("multipart/form-data", toFormData);
+    add("text/plain", util.String.interpret);
+
+    util.Object.assign(body, {
+        add: add,
+        prepare: prepare
+    });
+
+    return Object.freeze(body);
+
+});
@@ -0,0 +1,392 @@
+/*jslint browser */
+define([
+    "lib/util",
+    "lib/errors",
+    "lib/async/body"
+], function (
+    util,
+    errors,
+    body
+) {
+
+    "use strict";
+
+    // Keeps the responses of GET requests so that they can be used again.
+    var cache = {};
+
+    const TTL = 60000;
+
+    // Copies a cached value so that changing it doesn't change the cache.
+    // Nodes from the html and xml decoders are cloned and anything else that
+    // isn't an array or a plain object is kept as it is.
+    function copy(value) {
+
+        var copied;
+
+        if (Array.isArray(value)) {
+            return value.map(copy);
+        }
+
+        if (typeof Node === "function" && value instanceof Node) {
+            return value.cloneNode(true);
+        }
+
+        if (!util.Object.isPlainObject(value)) {
+            return value;
+        }
+
+        copied = {};
+
+        util.Object.each(value, function (key, item) {
+            copied[key] = copy(item);
+        });
+
+        return copied;
+
+    }
+
+    // Checks to see whether a value would be the same after being converted
+    // into JSON and back again.
+    function isSerialisable(value) {
+
+        if (Array.isArray(value)) {
+            return value.every(isSerialisable);
+        }
+
+        if (util.Object.isPlainObject(value)) {
+            return Object.keys(value).every(function (key) {
+                return isSerialisable(value[key]);
+            });
+        }
+
+        return value === null
+            || typeof value === "string"
+            || typeof value === "boolean"
+            || Number.isFinite(value);
+
+    }
+
+    /**
+     *  cache.createMemoryStorage() -> Object
+     *
+     *  Creates storage that keeps cached responses in memory until the page
+     *  is left. Storage has `get(key)`, `set(key, entry)`, `remove(key)` and
+     *  `keys()` functions and any object with those functions can be used
+     *  instead. Each `get` returns a copy of the entry so that changing one
+     *  response doesn't change the response that the next request is given.
+     **/
+    function createMemoryStorage() {
+
+        var entries = {};
+
+        return Object.freeze({
+
+            get: function (key) {
+
+                return util.Object.owns(entries, key)
+                    ? copy(entries[key])
+                    : undefined;
+
+            },
+
+            set: function (key, entry) {
+                entries[key] = copy(entry);
+            },
+
+            remove: function (key) {
+                delete entries[key];
+            },
+
+            keys: function () {
+                return Object.keys(entries);
+            }
+
+        });
+
+    }
+
+    /**
+     *  cache.createLocalStorage([namespace = "async-cache:"]) -> Object
+     *  - namespace (String): Prefix for the keys in `localStorage`.
+     *
+     *  Creates storage that keeps cached responses in `localStorage` so that
+     *  they last between visits (see [[cache.createMemoryStorage]]). Only
+     *  responses that can be converted into JSON can be kept this way. Any
+     *  others, such as those from the `html` or `xml` decoders, aren't cached
+     *  and a warning is given instead.
+     **/
+    function createLocalStorage(namespace) {
+
+        namespace = namespace || "async-cache:";
+
+        return Object.freeze({
+
+            get: function (key) {
+
+                var entry;
+
+                try {
+                    entry = JSON.parse(localStorage.getItem(namespace + key));
+                } catch (ignore) {
+                    entry = undefined;
+                }
+
+                return entry || undefined;
+
+            },
+
+            set: function (key, entry) {
+
+                // An empty response has nothing to lose.
+                if (
+                    entry.response !== undefined
+                    && !isSerialisable(entry.response)
+                ) {
+
+                    errors.warning(
+                        "Unable to cache " + key + ": the response can't be"
+                        + " converted into JSON"
+                    );
+
+                    return;
+
+                }
+
+                // Storage can be full or disabled.
+                try {
+
+                    localStorage.setItem(
+                        namespace + key,
+                        JSON.stringify(entry)
+                    );
+
+                } catch (error) {
+                    errors.warning("Unable to cache " + key + ": " + error);
+                }
+
+            },
+
+            remove: function (key) {
+                localStorage.removeItem(namespace + key);
+            },
+
+            keys: function () {
+
+                var keys = [];
+                var i = 0;
+                var key;
+
+                while (i < localStorage.length) {
+
+                    key = localStorage.key(i);
+
+                    if (key.indexOf(namespace) === 0) {
+                        keys.push(key.slice(namespace.length));
+                    }
+
+                    i += 1;
+
+                }
+
+                return keys;
+
+            }
+
+        });
+
+    }
+
+    var memory = createMemoryStorage();
+
+    function getOptions(options) {
+
+        return util.Object.assign({
+            ttl: TTL,
+            storage: memory
+        }, util.Object.isPlainObject(options)
+            ? options
+            : {});
+
+    }
+
+    // Recreates the response information from a cached entry.
+    function getInfo(entry, info) {
+
+        return util.Object.assign({}, info, {
+            status: entry.status,
+            statusText: entry.statusText,
+            headers: {
+                get: function (name) {
+
+                    var lower = util.String.interpret(name).toLowerCase();
+
+                    return util.Object.owns(entry.headers, lower)
+                        ? entry.headers[lower]
+                        : null;
+
+                }
+            },
+            response: entry.response,
+            cached: true
+        });
+
+    }
+
+    function createEntry(info, ttl) {
+
+        var headers = {};
+
+        ["etag", "last-modified", "content-type"].forEach(function (name) {
+
+            var value = info.headers && info.headers.get(name);
+
+            if (value) {
+                headers[name] = value;
+            }
+
+        });
+
+        return {
+            status: info.status,
+            statusText: info.statusText,
+            headers: headers,
+            response: info.response,
+            expires: Date.now() + ttl
+        };
+
+    }
+
+    /**
+     *  cache.request(settings, handler, resolve, reject) -> ?
+     *  - settings (Object): Settings of the request.
+     *  - handler (Function): Function that makes the request.
+     *  - resolve (Function): Resolves the request.
+     *  - reject (Function): Rejects the request.
+     *
+     *  Makes a request using the `cache` in the settings, returning whatever
+     *  the `handler` returns (see [[types.add]]). A response that hasn't
+     *  expired is used without making the request at all. Otherwise, if the
+     *  cached response had an "ETag" or "Last-Modified" header, the request
+     *  asks the server whether it has changed and the cached response is
+     *  used if the server responds with `304 Not Modified`.
+     *
+     *  The `cache` setting can be `true` or an object with these settings:
+     *
+     *  - `ttl` milliseconds before a cached response needs to be checked
+     *    again, defaulting to 1 minute.
+     *  - `storage` where the responses are kept, defaulting to memory that is
+     *    shared by every request (see [[cache.createMemoryStorage]]).
+     *
+     *      var request = async().setType("GET");
+     *      request.setUrl("/api/countries");
+     *      request.setCache({ttl: 3600000});
+     *      request.request(); // Made.
+     *      request.request(); // Uses the cached response.
+     *
+     *  Responses are keyed by their URL, including the query. Streamed
+     *  responses are never cached.
+     **/
+    function request(settings, handler, resolve, reject) {
+
+        var options = getOptions(settings.cache);
+        var storage = options.storage;
+        var key = body.prepare(settings).url;
+        var entry;
+
+        // A stream can only be read once.
+        if (settings.stream) {
+            return handler(resolve, reject);
+        }
+
+        entry = storage.get(key);
+
+        if (entry && entry.expires > Date.now()) {
+
+            resolve(getInfo(entry));
+
+            return;
+
+        }
+
+        if (entry) {
+
+            settings.headers = util.Object.assign({}, settings.headers);
+
+            if (entry.headers.etag) {
+                settings.headers["If-None-Match"] = entry.headers.etag;
+            }
+
+            if (entry.headers["last-modified"]) {
+
+                settings.headers["If-Modified-Since"] = (
+                    entry.headers["last-modified"]
+                );
+
+            }
+
+        }
+
+        return handler(function (info) {
+
+            if (info && info.status === 304 && entry) {
+
+                entry.expires = Date.now() + options.ttl;
+                storage.set(key, entry);
+                resolve(getInfo(entry, info));
+
+            } else {
+
+                // A "304 Not Modified" without an entry has no body to keep.
+                if (
+                    info
+                    && typeof info.status === "number"
+                    && info.status !== 304
+                ) {
+                    storage.set(key, createEntry(info, options.ttl));
+                }
+
+                resolve(info);
+
+            }
+
+        }, reject);
+
+    }
+
+    /**
+     *  cache.invalidate(prefix[, storage])
+     *  - prefix (String): Start of the URLs to remove.
+     *  - storage (Object): Optional storage to remove them from.
+     *
+     *  Removes the cached responses whose URLs start with `prefix`. Without
+     *  `storage`, the responses are removed from the shared memory.
+     *
+     *      cache.invalidate("/api/users");
+     *      // Removes "/api/users", "/api/users?page=2", "/api/users/1" ...
+     *
+     **/
+    function invalidate(prefix, storage) {
+
+        var start = util.String.interpret(prefix);
+        var store = storage || memory;
+
+        store.keys().forEach(function (key) {
+
+            if (key.indexOf(start) === 0) {
+                store.remove(key);
+            }
+
+        });
+
+    }
+
+    util.Object.assign(cache, {
+        createLocalStorage: createLocalStorage,
+        createMemoryStorage: createMemoryStorage,
+        invalidate: invalidate,
+        request: request
+    });
+
+    return Object.freeze(cache);
+
+});
@@ -1,14 +1,19 @@
 define([
     "lib/util",
+    "lib/errors",
     "lib/dom"
 ], function (
     util,
+    errors,
     dom
 ) {
 
     "use strict";
 
-    return Object.freeze({
+    // Converts the response of a request into something more useful.
+    var decode = {};
+
+    var decoders = {
 
         value: util.Function.identity,
         text: util.String.interpret,
@@ -18,10 +23,19 @@ define([
 
             var json;
 
-            if (response && typeof response === "string") {
+            // Responses such as "204 No Content" have no body to decode.
+            if (
+                response === undefined
+                || response === null
+                || response === ""
+            ) {
+                return json;
+            }
+
+            if (typeof response === "string") {
 
                 try {
-                    json = JSON.parse(response || "null");
+                    json = JSON.parse(response);
                 } catch (ignore) {
                     errors.warning("Invalid JSON: " + response);
                 }
@@ -67,6 +81,122 @@ define([
 
         }
 
+    };
+
+    // The decoder names for media types, checked in order. Types ending in
+    // "/*" match any subtype and types starting with "+" match the suffix.
+    var mediaTypes = [
+        ["application/json", "json"],
+        ["+json", "json"],
+        ["application/xml", "xml"],
+        ["text/xml", "xml"],
+        ["+xml", "xml"],
+        ["text/html", "html"],
+        ["text/*", "text"]
+    ];
+
+    function matches(pattern, type) {
+
+        if (pattern.charAt(0) === "+") {
+            return type.slice(-pattern.length) === pattern;
+        }
+
+        if (pattern.slice(-2) === "/*") {
+            return type.indexOf(pattern.slice(0, -1)) === 0;
+        }
+
+        return pattern === type;
+
+    }
+
+    /**
+     *  decode.add(name, decoder[, types])
+     *  - name (String): Name of the decoder.
+     *  - decoder (Function): Function that decodes the response.
+     *  - types (Array|String): Optional media types to use the decoder for.
+     *
+     *  Adds a decoder that can be named with an async instance's `setDecode`.
+     *  The decoder is passed the response and the information about it, and
+     *  returns the decoded response.
+     *
+     *      decode.add("ndjson", function (response) {
+     *          return response.split("\n").filter(Boolean).map(JSON.parse);
+     *      }, "application/x-ndjson");
+     *
+     *  Any `types` that are given are checked before the built-in ones when
+     *  a decoder is found for a response (see [[decode.find]]). A type can
+     *  end in `/*` to match any subtype, such as `"text/*"`, or start with
+     *  `+` to match a suffix, such as `"+json"`.
+     **/
+    function add(name, decoder, types) {
+
+        if (typeof decoder !== "function") {
+            throw new TypeError("Decoder " + name + " must be a function");
+        }
+
+        decoders[name] = decoder;
+
+        [].concat(types || []).reverse().forEach(function (type) {
+            mediaTypes.unshift([
+                util.String.interpret(type).toLowerCase(),
+                name
+            ]);
+        });
+
+    }
+
+    /**
+     *  decode.get(name) -> Function|undefined
+     *  - name (String): Name of the decoder.
+     *
+     *  Gets the named decoder or `undefined` if there isn't one. The built-in
+     *  decoders are `value` (which leaves the response as it is), `text`,
+     *  `html`, `json` and `xml`. The `json` decoder gives `undefined` for an
+     *  empty response, such as "204 No Content".
+     **/
+    function get(name) {
+
+        return util.Object.owns(decoders, name)
+            ? decoders[name]
+            : undefined;
+
+    }
+
+    /**
+     *  decode.find(contentType) -> Function
+     *  - contentType (String): "Content-Type" header of the response.
+     *
+     *  Finds the decoder for the media type in the header, falling back to
+     *  the `value` decoder if none of them match.
+     *
+     *      decode.find("application/problem+json; charset=utf-8");
+     *      // -> the json decoder
+     *      decode.find("image/png");
+     *      // -> the value decoder
+     *
+     **/
+    function find(contentType) {
+
+        var type = util.String.interpret(contentType)
+            .split(";")[0]
+            .trim()
+            .toLowerCase();
+        var found = util.Array.first(mediaTypes, function (pair) {
+            return matches(pair[0], type);
+        });
+
+        return found
+            ? decoders[found[1]]
+            : decoders.value;
+
+    }
+
+    util.Object.assign(decode, {
+        add: add,
+        find: find,
+        get: get
     });
 
+    return Object.freeze(decode);
+
 });
@@ -0,0 +1,172 @@
+/*jslint browser */
+define([
+    "lib/util",
+    "lib/dom/support",
+    "lib/async/response",
+    "lib/async/body",
+    "lib/async/xhr"
+], function (
+    util,
+    support,
+    response,
+    body,
+    xhr
+) {
+
+    "use strict";
+
+    function getInfo(res) {
+
+        return {
+            status: res.status,
+            statusText: res.statusText,
+            headers: res.headers,
+            response: undefined
+        };
+
+    }
+
+    // Creates the controller for the request, aborting it when the signal in
+    // the settings is aborted. The signal may be shared by many requests so
+    // "release" stops listening to it once the request has settled.
+    function getController(settings) {
+
+        var controller = new AbortController();
+        var signal = settings.signal;
+        var abort = function () {
+            controller.abort();
+        };
+
+        if (signal && signal.aborted) {
+            abort();
+        } else if (signal) {
+
+            signal.addEventListener("abort", abort, {
+                once: true
+            });
+
+        }
+
+        return {
+            controller: controller,
+            release: function () {
+
+                if (signal) {
+                    signal.removeEventListener("abort", abort);
+                }
+
+            }
+        };
+
+    }
+
+    function handle(settings, resolve, reject) {
+
+        var prepared = body.prepare(settings);
+        var linked = getController(settings);
+        var init = {
+            method: settings.method || "GET",
+            headers: prepared.headers,
+            signal: linked.controller.signal
+        };
+
+        if (settings.credentials) {
+            init.credentials = settings.credentials;
+        }
+
+        if (settings.mode) {
+            init.mode = settings.mode;
+        }
+
+        if (prepared.body !== undefined) {
+
+            init.body = prepared.body;
+
+            // Streamed request bodies have to be sent in a single direction.
+            if (
+                typeof ReadableStream === "function"
+                && prepared.body instanceof ReadableStream
+            ) {
+                init.duplex = "half";
+            }
+
+        }
+
+        window.fetch(prepared.url, init).then(function (res) {
+
+            var info = getInfo(res);
+
+            // Streamed responses are given the body to read as it arrives.
+            return (
+                settings.stream
+                    ? Promise.resolve(res.body)
+                    : res.text()
+            ).then(function (content) {
+
+                info.response = content;
+                response.settle(settings, info, resolve, reject);
+
+            });
+
+        }).catch(function (error) {
+
+            reject({
+                status: 0,
+                statusText: error.name,
+                response: undefined,
+                error: error
+            });
+
+        }).finally(linked.release);
+
+        return function () {
+            linked.controller.abort();
+        };
+
+    }
+
+    /**
+     *  fetch(settings) -> Function
+     *  - settings (Object): Settings of the request.
+     *
+     *  Creates a request handler which uses the Fetch API. As well as the
+     *  settings that the other request types understand, these are used:
+     *
+     *  - `method` the HTTP method, defaulting to `"GET"`.
+     *  - `headers` an object of extra headers to send.
+     *  - `credentials` and `mode` are passed to `fetch`.
+     *  - `signal` an `AbortSignal` that cancels the request.
+     *  - `stream` resolves with the body as a `ReadableStream` rather than
+     *    waiting for the text of the response.
+     *
+     *  A `ReadableStream` can be given as the data of any request that has a
+     *  body to stream it. Responses are validated and decoded in the same way
+     *  as an `XMLHttpRequest`. If the browser doesn't support fetch (see
+     *  [[dom.getResult]]), an `XMLHttpRequest` is made instead.
+     *
+     *      var controller = new AbortController();
+     *      var request = async().setType("FETCH");
+     *      request.setUrl("/api/users");
+     *      request.setCredentials("include");
+     *      request.setSignal(controller.signal);
+     *      request.request();
+     *      controller.abort(); // The request fails.
+     *
+     **/
+    return function (settings) {
+
+        if (!support.getResult("fetch")) {
+
+            settings.method = settings.method || "GET";
+
+            return xhr(settings);
+
+        }
+
+        settings.validators.push(response.validateStatus);
+
+        return util.Function.curry(handle, settings);
+
+    };
+
+});
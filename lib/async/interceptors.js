@@ -0,0 +1,153 @@
+define([
+    "lib/util"
+], function (
+    util
+) {
+
+    "use strict";
+
+    // Middleware that can change a request before it's sent and its response
+    // once it arrives.
+    var interceptors = {};
+
+    /**
+     *  interceptors.create() -> Object
+     *
+     *  Creates a list of interceptors. Each interceptor is an object with any
+     *  of these functions, which can return a promise if they need to wait:
+     *
+     *  - `request(settings)` changes the settings before the request is sent,
+     *    returning them (or nothing, if they were changed in place).
+     *  - `response(response, settings)` returns the response that the request
+     *    resolves with. Throwing or returning a rejected promise rejects the
+     *    request.
+     *  - `error(response, settings)` returns what the request is rejected
+     *    with, or nothing to leave it unchanged.
+     *
+     *  The list has `add`, `remove` and `get` functions.
+     *
+     *      var list = interceptors.create();
+     *      list.add({
+     *          request: function (settings) {
+     *              settings.headers["X-Request-Id"] = makeId();
+     *          }
+     *      });
+     *      list.get(); // -> [{request: function (settings) {...}}]
+     *
+     *  Interceptors can be added to every request with [[async.interceptors]]
+     *  or to a single async instance with its `addInterceptor` function.
+     **/
+    function create() {
+
+        var list = [];
+
+        return Object.freeze({
+
+            add: function (interceptor) {
+
+                if (interceptor === null || typeof interceptor !== "object") {
+                    throw new TypeError("Interceptors must be objects");
+                }
+
+                list.push(interceptor);
+
+            },
+
+            remove: function (interceptor) {
+
+                var index = list.indexOf(interceptor);
+
+                if (index > -1) {
+                    list.splice(index, 1);
+                }
+
+            },
+
+            get: function () {
+                return list.slice();
+            }
+
+        });
+
+    }
+
+    // Passes the value through the named function of each interceptor in
+    // turn, keeping the value if a function returns undefined.
+    function run(list, type, value, settings) {
+
+        return list.reduce(function (promise, interceptor) {
+
+            return promise.then(function (current) {
+
+                if (typeof interceptor[type] !== "function") {
+                    return current;
+                }
+
+                return Promise.resolve(
+                    interceptor[type](current, settings)
+                ).then(function (result) {
+
+                    return result === undefined
+                        ? current
+                        : result;
+
+                });
+
+            });
+
+        }, Promise.resolve(value));
+
+    }
+
+    /**
+     *  interceptors.request(list, settings) -> Promise
+     *  - list (Array): Interceptors to run.
+     *  - settings (Object): Settings of the request.
+     *
+     *  Runs the `request` function of each interceptor in order, resolving
+     *  with the final settings.
+     **/
+    function request(list, settings) {
+        return run(list, "request", settings);
+    }
+
+    /**
+     *  interceptors.response(list, response, settings) -> Promise
+     *  - list (Array): Interceptors to run.
+     *  - response (Object): Response that the request resolved with.
+     *  - settings (Object): Settings of the request.
+     *
+     *  Runs the `response` function of each interceptor in order, resolving
+     *  with the final response.
+     **/
+    function response(list, info, settings) {
+        return run(list, "response", info, settings);
+    }
+
+    /**
+     *  interceptors.error(list, response, settings) -> Promise
+     *  - list (Array): Interceptors to run.
+     *  - response (?): What the request was rejected with.
+     *  - settings (Object): Settings of the request.
+     *
+     *  Runs the `error` function of each interceptor in order. The returned
+     *  promise is always rejected, with the final error.
+     **/
+    function error(list, info, settings) {
+
+        return run(list, "error", info, settings).then(function (result) {
+            return Promise.reject(result);
+        });
+
+    }
+
+    util.Object.assign(interceptors, {
+        create: create,
+        error: error,
+        request: request,
+        response: response
+    });
+
+    return Object.freeze(interceptors);
+
+});
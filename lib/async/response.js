@@ -0,0 +1,98 @@
+define([
+    "lib/util",
+    "lib/async/decode"
+], function (
+    util,
+    decode
+) {
+
+    "use strict";
+
+    // The steps shared by the transports once a response has arrived.
+    var response = {};
+
+    /**
+     *  response.validateStatus(info) -> Boolean
+     *  - info (Object): Information about the response.
+     *
+     *  Checks to see whether the response was successful, based on its status.
+     **/
+    function validateStatus(info) {
+        return (info.status >= 200 && info.status < 300) || info.status === 304;
+    }
+
+    // "304 Not Modified" responses have no body to decode. Otherwise the
+    // named decoder is used if there is one, or the decoder is chosen from
+    // the "Content-Type" of the response. Streams are left alone.
+    function getDecoder(settings, info) {
+
+        var named = decode.get(settings.decode);
+        var headers = info.headers;
+
+        if (info.status === 304) {
+            return decode.get("value");
+        }
+
+        if (named) {
+            return named;
+        }
+
+        if (settings.stream || !headers || typeof headers.get !== "function") {
+            return decode.get("value");
+        }
+
+        return decode.find(headers.get("Content-Type"));
+
+    }
+
+    /**
+     *  response.settle(settings, info, resolve, reject)
+     *  - settings (Object): Settings of the request.
+     *  - info (Object): Information about the response.
+     *  - resolve (Function): Resolves the request.
+     *  - reject (Function): Rejects the request.
+     *
+     *  Decodes the response using the decoder named in `settings.decode` or
+     *  the decoder for its "Content-Type" header (see [[decode.find]]) and
+     *  checks it with each of the validators in
+     *  `settings.validators`. The request is resolved with `info` if every
+     *  validator passes and rejected with it otherwise. If a decoder or a
+     *  validator throws, the request is rejected with `info` and the thrown
+     *  value as its `error`.
+     **/
+    function settle(settings, info, resolve, reject) {
+
+        var isValid;
+
+        // Decoders and validators can be added by anyone and this runs in the
+        // transport's callback, where a throw would stop the request settling.
+        try {
+
+            info.response = getDecoder(settings, info)(info.response, info);
+            isValid = settings.validators.every(function (validator) {
+                return validator(info);
+            });
+
+        } catch (error) {
+
+            info.error = error;
+            isValid = false;
+
+        }
+
+        if (isValid) {
+            resolve(info);
+        } else {
+            reject(info);
+        }
+
+    }
+
+    util.Object.assign(response, {
+        settle: settle,
+        validateStatus: validateStatus
+    });
+
+    return Object.freeze(response);
+
+});
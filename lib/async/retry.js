@@ -0,0 +1,158 @@
+define([
+    "lib/util"
+], function (
+    util
+) {
+
+    "use strict";
+
+    // Works out whether and when a failed request should be tried again.
+    var retry = {};
+
+    var defaults = {
+        attempts: 1,
+        delay: 200,
+        factor: 2,
+        maxDelay: 30000,
+        jitter: true,
+        statuses: [408, 425, 429, 500, 502, 503, 504],
+        isRetryable: undefined
+    };
+
+    /**
+     *  retry.getPolicy([policy]) -> Object
+     *  - policy (Object): Settings for retrying a request.
+     *
+     *  Creates a complete retry policy from the settings given to an async
+     *  instance's `setRetry`, filling in any that are missing with the
+     *  defaults.
+     *
+     *  - `attempts` the most times that the request is made, `1` meaning that
+     *    it isn't retried.
+     *  - `delay` milliseconds to wait before the first retry.
+     *  - `factor` multiplies the delay after each retry.
+     *  - `maxDelay` the longest that any one wait can be.
+     *  - `jitter` randomises each wait so that clients don't retry in step.
+     *  - `statuses` the HTTP statuses that can be retried.
+     *  - `isRetryable` a function that is passed the response and the number
+     *    of the attempt and returns `true` if the request can be retried,
+     *    replacing the check of `statuses`.
+     *
+     *      retry.getPolicy({attempts: 3});
+     *      // -> {attempts: 3, delay: 200, factor: 2, maxDelay: 30000, ...}
+     *
+     *  Before each retry an "async-retry-<name>" event is triggered with the
+     *  number of the next `attempt`, the `delay` before it and the `response`
+     *  that failed.
+     *
+     *      var request = async().setType("GET");
+     *      request.setUrl("/api/flaky");
+     *      request.setName("flaky");
+     *      request.setRetry({attempts: 4, delay: 500});
+     *      request.request(); // Made up to 4 times.
+     *
+     **/
+    function getPolicy(policy) {
+        return util.Object.assign({}, defaults, policy);
+    }
+
+    /**
+     *  retry.isRetryable(policy, response, attempt) -> Boolean
+     *  - policy (Object): Retry policy from [[retry.getPolicy]].
+     *  - response (Object): Response that the request was rejected with.
+     *  - attempt (Number): Number of the attempt that failed, starting at 1.
+     *
+     *  Checks to see whether the request should be made again. Aborted
+     *  requests are never retried and neither is the last attempt. Otherwise
+     *  timeouts, network errors (a status of `0`) and the statuses in the
+     *  policy can be retried.
+     **/
+    function isRetryable(policy, response, attempt) {
+
+        var info = response || {};
+
+        if (attempt >= policy.attempts || info.reason === "abort") {
+            return false;
+        }
+
+        if (typeof policy.isRetryable === "function") {
+            return Boolean(policy.isRetryable(response, attempt));
+        }
+
+        return info.reason === "timeout"
+            || info.status === 0
+            || policy.statuses.indexOf(info.status) > -1;
+
+    }
+
+    // Reads the "Retry-After" header, which is either a number of seconds or
+    // a date, returning the milliseconds to wait or undefined.
+    function getRetryAfter(response) {
+
+        var headers = response && response.headers;
+        var value;
+        var time;
+
+        if (!headers || typeof headers.get !== "function") {
+            return;
+        }
+
+        value = headers.get("Retry-After");
+
+        if (!value) {
+            return;
+        }
+
+        if ((/^\s*\d+\s*$/).test(value)) {
+            return Number(value) * 1000;
+        }
+
+        time = Date.parse(value);
+
+        if (!Number.isNaN(time)) {
+            return Math.max(0, time - Date.now());
+        }
+
+    }
+
+    /**
+     *  retry.getDelay(policy, response, attempt) -> Number
+     *  - policy (Object): Retry policy from [[retry.getPolicy]].
+     *  - response (Object): Response that the request was rejected with.
+     *  - attempt (Number): Number of the attempt that failed, starting at 1.
+     *
+     *  Gets the milliseconds to wait before trying the request again. The
+     *  delay grows by `factor` after each attempt, up to `maxDelay`. With
+     *  `jitter`, the wait is somewhere between half and all of that delay.
+     *  A "Retry-After" header on the response is used instead, if there is
+     *  one, though it is still kept to `maxDelay`.
+     **/
+    function getDelay(policy, response, attempt) {
+
+        var retryAfter = getRetryAfter(response);
+        var delay;
+
+        if (retryAfter !== undefined) {
+            return Math.min(policy.maxDelay, retryAfter);
+        }
+
+        delay = Math.min(
+            policy.maxDelay,
+            policy.delay * Math.pow(policy.factor, attempt - 1)
+        );
+
+        return policy.jitter
+            ? Math.round(delay / 2 + Math.random() * delay / 2)
+            : delay;
+
+    }
+
+    util.Object.assign(retry, {
+        getDelay: getDelay,
+        getPolicy: getPolicy,
+        isRetryable: isRetryable
+    });
+
+    return Object.freeze(retry);
+
+});
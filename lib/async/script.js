@@ -1,18 +1,20 @@
+/*jslint browser */
 define([
+    "lib/util",
     "lib/dom"
 ], function (
+    util,
     dom
 ) {
 
     "use strict";
 
-    var asyncScript = {};
     var firstScript;
 
     function getFirstScript() {
 
         if (!firstScript) {
-            firstScript = dom.byQuery("script");
+            firstScript = document.getElementsByTagName("script")[0];
         }
 
         return firstScript;
@@ -21,21 +23,26 @@ define([
 
     function handle(settings, resolve, reject) {
 
-        var script = dom.create("script");
+        var script = document.createElement("script");
 
         dom.setAttr(script, {
             async: true,
             type: "text/javascript",
-            url: settings.url
+            src: settings.url
         });
 
-        dom.on(script, {
-            load: resolve,
-            error: reject
-        });
+        script.addEventListener("load", resolve);
+        script.addEventListener("error", reject);
 
         dom.append(script, getFirstScript());
 
+        // Removing the script tidies up the page but it doesn't stop the
+        // browser from downloading or running it. The request has already
+        // been settled by then, so its "load" or "error" is ignored.
+        return function () {
+            dom.remove(script);
+        };
+
     }
 
     return function (settings) {
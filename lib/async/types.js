@@ -0,0 +1,110 @@
+define([
+    "lib/util",
+    "lib/async/script",
+    "lib/async/xhr",
+    "lib/async/fetch"
+], function (
+    util,
+    script,
+    xhr,
+    fetch
+) {
+
+    "use strict";
+
+    var types = {};
+    var factories = {};
+
+    /**
+     *  types.add(name, factory)
+     *  - name (String): Name of the request type.
+     *  - factory (Function): Function that creates the request handler.
+     *
+     *  Adds a request type so that it can be used with `setType` (see
+     *  [[async]]). The `factory` is passed the settings of the request and
+     *  should return a function which is passed `resolve` and `reject`
+     *  functions and makes the request. That function may return another
+     *  function which cancels the request, used when the request is aborted or
+     *  times out.
+     *
+     *      types.add("WEBSOCKET", function (settings) {
+     *
+     *          return function (resolve, reject) {
+     *
+     *              var socket = new WebSocket(settings.url);
+     *
+     *              socket.onmessage = function (e) {
+     *                  resolve(e.data);
+     *              };
+     *              socket.onerror = reject;
+     *
+     *              return function () {
+     *                  socket.close();
+     *              };
+     *
+     *          };
+     *
+     *      });
+     *
+     *  Names are not case-sensitive. Be warned that no check is made to see
+     *  whether the type already exists, allowing the built-in types to be
+     *  replaced.
+     **/
+    function add(name, factory) {
+
+        if (typeof factory !== "function") {
+            throw new TypeError("Async type " + name + " must be a function");
+        }
+
+        factories[util.String.interpret(name).toUpperCase()] = factory;
+
+    }
+
+    /**
+     *  types.get(name) -> Function|undefined
+     *  - name (String): Name of the request type.
+     *
+     *  Gets the factory for the named request type or `undefined` if the type
+     *  is not recognised.
+     **/
+    function get(name) {
+
+        var upper = util.String.interpret(name).toUpperCase();
+
+        return util.Object.owns(factories, upper)
+            ? factories[upper]
+            : undefined;
+
+    }
+
+    [
+        "GET",
+        "POST",
+        "PUT",
+        "DELETE",
+        "PATCH",
+        "HEAD",
+        "OPTIONS"
+    ].forEach(function (method) {
+
+        add(method, function (settings) {
+
+            settings.method = method;
+
+            return xhr(settings);
+
+        });
+
+    });
+
+    add("SCRIPT", script);
+    add("FETCH", fetch);
+
+    util.Object.assign(types, {
+        add: add,
+        get: get
+    });
+
+    return Object.freeze(types);
+
+});
@@ -1,95 +1,67 @@
+/*jslint browser */
 define([
-    "util",
-    "async/decode"
+    "lib/util",
+    "lib/async/response",
+    "lib/async/body"
 ], function (
     util,
-    decode
+    response,
+    body
 ) {
 
     "use strict";
 
-    function validateStatus(info) {
-        return (info.status >= 200 && info.status < 300) || info.status === 304;
-    }
-
     function getInfo(xhr) {
 
         return {
             status: xhr.status,
             statusText: xhr.statusText,
+            // Matches the "get" method of the headers of a fetch response.
+            headers: {
+                get: function (name) {
+                    return xhr.getResponseHeader(name);
+                }
+            },
             response: xhr.response
         };
 
     }
 
-    function getDecoder(decoder) {
-
-        if (!decode[decoder]) {
-            decoder = "value";
-        }
-
-        return decode[decoder];
-
-    }
-
     function handle(settings, resolve, reject) {
 
         var xhr = new XMLHttpRequest();
-        var data = util.Object.toQuery(settings.data);
-        var url = settings.url;
-
-        if (data && settings.method === "GET") {
-
-            url += url.indexOf("?") > -1
-                ? "&" + data
-                : "?" + data;
-
-            data = undefined;
-
-        } else if (settings.method === "POST") {
-
-            xhr.setRequestHeader(
-                "Content-Type",
-                "application/x-www-form-urlencoded; charset=UTF-8"
-            );
-
-        }
+        var prepared = body.prepare(settings);
 
         xhr.onreadystatechange = function () {
 
-            var info;
-            var isValid;
-
             if (xhr.readyState === 4) {
-
-                info = getInfo(xhr);
-                isValid = settings.validators.every(function (validator) {
-                    return validator(info);
-                });
-
-                if (isValid) {
-                    resolve(info);
-                } else {
-                    reject(info);
-                }
-
+                response.settle(settings, getInfo(xhr), resolve, reject);
             }
 
         };
 
         xhr.onerror = function () {
-            reject(that.getInfo(xhr));
+            reject(getInfo(xhr));
         };
 
-        xhr.open(settings.method, url, true);
-        xhr.setRequestHeader("X-Requested-With", "XMLHttpRequest");
-        xhr.send(data);
+        // Headers can only be set once the request has been opened.
+        xhr.open(settings.method, prepared.url, true);
+
+        util.Object.each(prepared.headers, function (name, value) {
+            xhr.setRequestHeader(name, value);
+        });
+
+        xhr.send(prepared.body);
+
+        return function () {
+            xhr.abort();
+        };
 
     }
 
     return function (settings) {
 
-        settings.validators.push(validateStatus);
+        settings.validators.push(response.validateStatus);
 
         return util.Function.curry(handle, settings);
 
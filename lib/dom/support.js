@@ -38,7 +38,7 @@ define([
      *
      **/
     function addTest(name, test) {
-        supports[test] = test(dummyElement);
+        supports[name] = test(dummyElement);
     }
 
     /** related to: dom.addTest
@@ -79,7 +79,7 @@ define([
      *
      **/
     function getResult(name) {
-        return supports[test];
+        return supports[name];
     }
 
     /**
@@ -109,6 +109,16 @@ define([
         // Test for HTMLElement.classList support.
         classList: function (dummy) {
             return !!dummy.classList;
+        },
+
+        // Test for the Fetch API, including the ability to abort a request.
+        fetch: function () {
+
+            return (
+                typeof window.fetch === "function"
+                && typeof window.AbortController === "function"
+            );
+
         }
 
     });
@@ -119,7 +129,7 @@ define([
 
         var isSupported = false;
 
-        if (getTest("classList")) {
+        if (getResult("classList")) {
 
             dummy.classList.add("one", "two");
             isSupported = dummy.classList.contains("two");
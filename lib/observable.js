@@ -0,0 +1,108 @@
+define([
+    "lib/util"
+], function (
+    util
+) {
+
+    "use strict";
+
+    /**
+     *  makeObservable([data = {}]) -> Object
+     *  - data (Object): Optional initial data.
+     *
+     *  Wraps `data` so that changes to it can be observed. Values are read with
+     *  `get` and changed with `set`, which tells every handler added with
+     *  `subscribe` which path changed and its new value.
+     *
+     *      var model = makeObservable({user: {name: "a"}});
+     *      model.subscribe(function (path, value) {
+     *          console.log(path + " is now " + value);
+     *      });
+     *      model.set("user.name", "b"); // logs "user.name is now b"
+     *      model.get("user.name");      // -> "b"
+     *      model.get();                 // -> {user: {name: "b"}}
+     *
+     *  Setting a path creates any objects that are missing along the way.
+     *  Handlers are not called if the value has not changed.
+     **/
+    return function makeObservable(data) {
+
+        var observable = {};
+        var handlers = [];
+
+        if (data === undefined || data === null) {
+            data = {};
+        }
+
+        function get(path) {
+
+            return path === undefined
+                ? data
+                : util.Object.access(data, path);
+
+        }
+
+        function set(path, value) {
+
+            var segments = util.String.interpret(path).match(/[^.\[\]"']+/g);
+            var last;
+            var target = data;
+
+            if (!segments) {
+                throw new TypeError("Cannot set an empty path");
+            }
+
+            last = segments.pop();
+            segments.forEach(function (segment) {
+
+                if (target[segment] === null || typeof target[segment] !== "object") {
+                    target[segment] = {};
+                }
+
+                target = target[segment];
+
+            });
+
+            if (target[last] !== value) {
+
+                target[last] = value;
+                handlers.slice().forEach(function (handler) {
+                    handler(path, value);
+                });
+
+            }
+
+        }
+
+        function subscribe(handler) {
+
+            if (typeof handler !== "function") {
+                throw new TypeError("Handler must be a function");
+            }
+
+            handlers.push(handler);
+
+        }
+
+        function unsubscribe(handler) {
+
+            var index = handlers.indexOf(handler);
+
+            if (index > -1) {
+                handlers.splice(index, 1);
+            }
+
+        }
+
+        util.Object.assign(observable, {
+            get: get,
+            set: set,
+            subscribe: subscribe,
+            unsubscribe: unsubscribe
+        });
+
+        return Object.freeze(observable);
+
+    };
+
+});
@@ -1,13 +1,40 @@
 define([
     "lib/util",
-    "lib/template/tree"
+    "lib/template/tree",
+    "lib/template/textBranch",
+    "lib/template/syntax",
+    "lib/template/partials",
+    "lib/template/runtime",
+    "lib/template/escape",
+    "lib/template/patch",
+    "lib/template/bind",
+    "lib/template/analysis",
+    "lib/template/resolve"
 ], function (
     util,
-    makeTemplateTree
+    makeTemplateTree,
+    makeTextBranch,
+    makeSyntax,
+    partials,
+    runtime,
+    escape,
+    patch,
+    bind,
+    analysis,
+    resolve
 ) {
 
     "use strict";
 
+    // The most compiled templates that are kept.
+    const CACHE_SIZE = 100;
+
+    // Compiled templates, keyed by their source, with the least recently used
+    // first.
+    var cache = new Map();
+    // The runtime of the latest render into each element.
+    var renders = new WeakMap();
+
     /*function parseTemplate(string) {
 
         var parts = [];
@@ -35,45 +62,637 @@ define([
 
     }*/
 
-    //const REPLACE_BRANCH = /(\\)?\$\{#[^\}]+\}/;
-    const REPLACE_BRANCH = /(^|.|\r|\n)\$\{#[^\}]+\}/;
-    const PROCESS_BRANCH = /(^|.|\r|\n)\$\{#(\w+)\s+([^\}]+)\}$/;
+    // Re-creates the error with the line, column and an excerpt of the
+    // template showing where the error occurred.
+    function locateError(error, string, index) {
+
+        var lines = string.slice(0, index).split(/\r\n|\r|\n/);
+        var line = lines.length;
+        var before = util.Array.last(lines);
+        var excerpt = string.split(/\r\n|\r|\n/)[line - 1] + "\n"
+                + before.replace(/[^\t]/g, " ") + "^";
+        var Constructor = error.constructor || SyntaxError;
+        var located = new Constructor(
+            error.message + " at line " + line + ", column "
+            + (before.length + 1) + "\n" + excerpt
+        );
+
+        return util.Object.assign(located, {
+            line: line,
+            column: before.length + 1,
+            excerpt: excerpt
+        });
+
+    }
+
+    function setup(tree, string, syntax) {
+
+        // All the text seen so far, allowing each text branch to work out
+        // whether its placeholders appear inside a tag or not.
+        var markup = "";
+        // syntax.branch includes the character before the branch so text is
+        // collected until a branch is found to avoid splitting a placeholder.
+        var text = "";
+        var textIndex = 0;
+        // Set when the previous branch trims the whitespace after it.
+        var isTrimming = false;
+        // Position of the current part and of each of the open branches.
+        var index = 0;
+        var opened = [];
+
+        function attempt(position, action) {
+
+            var result;
+
+            try {
+                result = action();
+            } catch (error) {
+                throw locateError(error, string, position + (error.offset || 0));
+            }
+
+            return result;
+
+        }
+
+        function addText(part) {
+
+            var trimmed = part;
+
+            if (isTrimming) {
+
+                trimmed = part.replace(/^\s+/, "");
+                isTrimming = !trimmed;
+
+            }
+
+            if (!text) {
+                textIndex = index + part.length - trimmed.length;
+            }
+
+            text += trimmed;
+
+        }
+
+        function flushText() {
+
+            if (text) {
+
+                attempt(textIndex, function () {
+                    tree.addBranch(makeTextBranch(text, markup, syntax));
+                });
+                markup += text;
+                text = "";
+
+            }
 
-    function setup(tree) {
+        }
 
         tree.init();
         //parseTemplate(string).forEach(function (part) {
-        util.String.tokenise(string, REPLACE_BRANCH).forEach(function (part) {
+        util.String.tokenise(string, syntax.branch).forEach(function (part) {
 
-            var match = part.match(PROCESS_BRANCH);
+            var match = part.match(syntax.tag);
+            var position;
+            var current;
 
             if (match && match[1] !== "\\") {
 
-                if (match[2] === "end") {
-                    tree.closeBranch(match[3]);
-                } else {
-                    tree.openBranch(match[2], match[0]);
+                addText(match[1]);
+
+                if (match[2]) {
+                    text = text.replace(/\s+$/, "");
+                }
+
+                flushText();
+                position = index + match[1].length;
+                isTrimming = Boolean(match[5]);
+
+                // Comments are removed entirely.
+                if (match[3].charAt(0) !== "!") {
+
+                    attempt(position, function () {
+
+                        current = tree.getCurrentBranch();
+
+                        if (match[3] === "end") {
+
+                            tree.closeBranch(
+                                match[4],
+                                escape.isInText(markup)
+                            );
+                            opened.pop();
+
+                        } else {
+
+                            // Branches are given the tag already parsed so
+                            // that the delimiters don't affect them.
+                            tree.openBranch(match[3], {
+                                name: match[3],
+                                args: match[4] || "",
+                                source: part.slice(match[1].length)
+                            }, escape.isInText(markup));
+
+                            // Sections and void branches don't need closing.
+                            if (current !== tree.getCurrentBranch()) {
+                                opened.push(position);
+                            }
+
+                        }
+
+                    });
+
                 }
 
             } else {
-                tree.addBranch(makeTextBranch(part));
+                addText(part);
             }
 
+            index += part.length;
+
         });
 
+        flushText();
+
+        return attempt(util.Array.last(opened), tree.compile);
+
     }
 
-    return function (string) {
+    // The tree is only known when the template wasn't precompiled.
+    function makeTemplateObject(compiled, tree) {
 
-        var tree = makeTree();
         var template = {
-            render: tree.render
-        };
 
-        setup(tree);
+            render: function (data, options) {
+
+                var r = runtime.create(options);
+
+                return r.finish(compiled(data, r));
+
+            },
+
+            renderFragment: function (data, options) {
+                return patch.toFragment(template.render(data, options));
+            },
+
+            renderAsync: function (data, options) {
+
+                return resolve(data, template.getReferences()).then(
+                    function (resolved) {
+                        return template.render(resolved, options);
+                    }
+                );
+
+            },
+
+            renderInto: function (element, data, options, ids) {
+
+                var marked = {
+                    ids: ids,
+                    rendered: {}
+                };
+                var r = runtime.create(options, marked);
+                var html = r.finish(compiled(data, r));
+                var previous = renders.get(element);
+                var settled = r.settle();
+
+                if (ids === undefined) {
+                    patch.patch(element, html);
+                } else if (!ids.every(function (id) {
+                    return patch.patchPart(element, id, marked.rendered[id]);
+                })) {
+                    return template.renderInto(element, data, options);
+                }
+
+                // Rendering only some parts doesn't stop an earlier render
+                // from showing the other parts' ${#await} blocks.
+                if (!settled && ids !== undefined && previous) {
+                    settled = previous.settled;
+                }
+
+                renders.set(element, {
+                    data: data,
+                    options: options,
+                    settled: settled
+                });
+
+                // Shows the result of any ${#await} blocks once they settle,
+                // unless the element has been rendered again in the meantime.
+                if (settled) {
+
+                    settled.then(function () {
+
+                        var latest = renders.get(element);
+
+                        if (latest.settled === settled) {
+
+                            template.renderInto(
+                                element,
+                                latest.data,
+                                latest.options
+                            );
+
+                        }
+
+                    });
+
+                }
+
+                return element;
+
+            },
+
+            bind: function (element, model, options) {
+                return bind(template, element, model, options);
+            },
+
+            getReferences: function () {
+
+                return tree
+                    ? tree.getReferences()
+                    : undefined;
+
+            },
+
+            getParts: function () {
+
+                return tree
+                    ? tree.getParts()
+                    : undefined;
+
+            },
+
+            getPaths: function () {
+
+                return tree
+                    ? util.Array.unique(util.Array.pluck(
+                        tree.getReferences(),
+                        "path"
+                    ))
+                    : undefined;
+
+            },
+
+            createFixture: function () {
+
+                return tree
+                    ? analysis.createFixture(tree.getReferences())
+                    : undefined;
+
+            },
+
+            findUnused: function (data) {
+
+                return tree
+                    ? analysis.findUnused(data, tree.getReferences())
+                    : undefined;
+
+            },
+
+            toSource: function () {
+                return compiled.toString();
+            }
+
+        };
 
         return Object.freeze(template);
 
-    };
+    }
+
+    /**
+     *  template(string[, options]) -> Object
+     *  - string (String): Template source.
+     *  - options (Object): Optional delimiters for the template.
+     *
+     *  Creates a template from the given `string`. The returned object has a
+     *  `render` method which takes the data for the template and returns the
+     *  rendered string.
+     *
+     *      var tmpl = template("<p title=\"${title}\">${body}</p>");
+     *      tmpl.render({title: "a \"b\"", body: "<i>c</i>"});
+     *      // -> "<p title=\"a&#x20;&#x22;b&#x22;\">&lt;i&gt;c&lt;/i&gt;</p>"
+     *
+     *  Placeholders are escaped based on where they appear: values within a
+     *  tag are escaped as attribute values while all others are escaped as
+     *  text. A value at the start of a URL attribute, such as `href` or
+     *  `src`, is replaced with `"about:invalid"` unless it is relative or uses
+     *  `http`, `https` or `mailto` (see [[escape.url]]). Trusted markup can
+     *  be output without escaping by wrapping the placeholder in an
+     *  additional set of braces.
+     *
+     *      var tmpl = template("<div>${{body}}</div>");
+     *      tmpl.render({body: "<i>c</i>"});
+     *      // -> "<div><i>c</i></div>"
+     *
+     *  Values can be passed through filters before they are escaped. Filters
+     *  are separated with a pipe and arguments follow a colon (see
+     *  [[filters.parse]] and [[filters.add]]).
+     *
+     *      var tmpl = template("<p>${name | upper | clip:3}</p>");
+     *      tmpl.render({name: "abcdef"});
+     *      // -> "<p>ABC</p>"
+     *
+     *  Collections can be looped over with `${#each}`. Inside the loop, loop
+     *  variables such as `@index`, `@first` and `@last` are available (see
+     *  [[runtime.each]]) and an optional `${#empty}` section is rendered when
+     *  the collection is empty or missing.
+     *
+     *      var tmpl = template(
+     *          "<ul>${#each items as item}<li>${@number}. ${item}</li>" +
+     *          "${#empty}<li>No items</li>${#end each}</ul>"
+     *      );
+     *      tmpl.render({items: ["a", "b"]});
+     *      // -> "<ul><li>1. a</li><li>2. b</li></ul>"
+     *      tmpl.render({items: []});
+     *      // -> "<ul><li>No items</li></ul>"
+     *
+     *  The `${#with}`, `${#unless}` and `${#switch}` blocks are also available
+     *  and more can be added using [[blocks.add]] (or [[types.add]] for full
+     *  control over the compiled code).
+     *
+     *  Other templates can be included using `${#include name}` to render them
+     *  with the same data or `${#partial name with data.path}` to render them
+     *  with part of the data (see [[template.register]]).
+     *
+     *  As well as `render`, templates have a `renderFragment` method which
+     *  returns a `DocumentFragment` and a `renderInto` method which updates the
+     *  contents of an element. Calling `renderInto` again with new data only
+     *  changes the nodes that need to change (see [[patch.patch]]). Adding a
+     *  key to an `${#each}` allows list items to be moved rather than
+     *  re-created.
+     *
+     *      var tmpl = template(
+     *          "<ul>${#each items as item key=id}<li>${item.name}</li>" +
+     *          "${#end each}</ul>"
+     *      );
+     *      tmpl.renderInto(element, {items: [{id: 1, name: "a"}]});
+     *      tmpl.renderInto(element, {
+     *          items: [{id: 2, name: "b"}, {id: 1, name: "a"}]
+     *      });
+     *      // The <li> for "a" is moved, not re-created.
+     *
+     *  The placeholders and top-level branches in the text of an element are
+     *  the parts of the template (see [[runtime.create]]). `getParts` lists
+     *  the paths that each part uses (`parts`, indexed by the part's id) and
+     *  the paths used outside of them (`others`). Passing an array of ids to
+     *  `renderInto` renders and patches just those parts, falling back to
+     *  rendering everything if a part can't be found in the element.
+     *
+     *      var tmpl = template("<h1>${title}</h1><p>${body}</p>");
+     *      tmpl.getParts(); // -> {parts: [["title"], ["body"]], others: []}
+     *      tmpl.renderInto(element, {title: "a", body: "b"});
+     *      tmpl.renderInto(element, {title: "c", body: "b"}, undefined, [0]);
+     *
+     *  Messages can be translated with `${#t key}`, passing any parameters as
+     *  `name=path` pairs. A `count` parameter chooses the plural form of the
+     *  message (see [[i18n.translate]]).
+     *
+     *      i18n.addMessages("en", {
+     *          basket: {one: "${count} item", other: "${count} items"}
+     *      });
+     *      template("<p>${#t basket count=items.length}</p>").render({
+     *          items: ["a", "b"]
+     *      });
+     *      // -> "<p>2 items</p>"
+     *
+     *  Adding a `-` just inside either end of a tag removes the whitespace
+     *  (including new lines) on that side of the tag. Tags starting with `!`
+     *  are comments and are removed when the template is created.
+     *
+     *      var tmpl = template(
+     *          "<pre>\n    ${#-if admin -}\n    admin\n    ${#-end if}\n</pre>" +
+     *          "${#! Only shown to admins }"
+     *      );
+     *      tmpl.render({admin: true});
+     *      // -> "<pre>admin\n</pre>"
+     *
+     *  Templates can also be bound to an element and an observable model (see
+     *  [[makeObservable]]) with `bind`. The parts of the element that use a
+     *  path are updated whenever that path changes and form controls with a
+     *  `data-bind` attribute write their values back to the model (see
+     *  [[bind]]).
+     *
+     *      var model = makeObservable({user: {name: "a"}});
+     *      var tmpl = template(
+     *          "<p>${user.name}</p>" +
+     *          "<input data-bind=\"user.name\" value=\"${user.name}\">"
+     *      );
+     *      tmpl.bind(element, model);
+     *      model.set("user.name", "b"); // <p> now shows "b".
+     *
+     *  The delimiters can be changed by passing `open` and `close` options
+     *  (see [[makeSyntax]]), which is useful when the template is inside a
+     *  JavaScript template literal or is processed by a tool that uses `${}`.
+     *  The delimiters apply to placeholders and branches. The placeholders of
+     *  translated messages are always `${name}` (see [[i18n.translate]]).
+     *
+     *      var tmpl = template(
+     *          "{{#if name}}<p>{{name}}</p>{{#end if}}",
+     *          {open: "{{", close: "}}"}
+     *      );
+     *      tmpl.render({name: "a"}); // -> "<p>a</p>"
+     *
+     *  The data that a template needs can be checked before it is rendered.
+     *  `getReferences` lists every data path used by a placeholder, condition,
+     *  collection, block or partial (with loop variables resolved to the
+     *  collection they come from, see [[paths.reference]]) and `getPaths`
+     *  lists just the paths.
+     *  `createFixture` creates sample data and `findUnused` lists the paths in
+     *  some data that the template doesn't use (see [[analysis]]). Templates
+     *  created with [[template.fromPrecompiled]] return `undefined` from these
+     *  methods (and from `getParts`).
+     *
+     *      var tmpl = template(
+     *          "${#if user.admin}${#each items as item}${item.name}" +
+     *          "${#end each}${#end if}"
+     *      );
+     *      tmpl.getReferences();
+     *      // -> [
+     *      //     {kind: "condition", path: "user.admin"},
+     *      //     {kind: "collection", path: "items"},
+     *      //     {kind: "placeholder", path: "items[].name"}
+     *      // ]
+     *      tmpl.getPaths(); // -> ["user.admin", "items", "items[].name"]
+     *      tmpl.createFixture();
+     *      // -> {user: {admin: true}, items: [{name: "items[].name"}]}
+     *      tmpl.findUnused({user: {admin: true, age: 1}, items: []});
+     *      // -> ["user.age"]
+     *
+     *  Data containing promises can be rendered with `renderAsync`, which
+     *  returns a promise that resolves with the rendered string once the
+     *  promises that the template uses have resolved (see [[resolve]]).
+     *  Loading and error states can be shown with an `${#await}` block.
+     *  `render` shows the pending content until the promise settles while
+     *  `renderAsync` waits for it. When rendering into an element, the element
+     *  is updated automatically once the promise settles.
+     *
+     *      var tmpl = template(
+     *          "${#await user}<p>Loading...</p>" +
+     *          "${#then found}<p>${found.name}</p>" +
+     *          "${#catch error}<p>${error.message}</p>${#end await}"
+     *      );
+     *      var data = {user: fetchUser()};
+     *      tmpl.render(data); // -> "<p>Loading...</p>"
+     *      tmpl.renderAsync(data).then(function (html) {
+     *          // html -> "<p>Alice</p>"
+     *      });
+     *      tmpl.renderInto(element, data);
+     *      // Shows "Loading..." and then "Alice" once the user is fetched.
+     *
+     *  All of the render methods accept options (see [[runtime.create]]) as
+     *  their last argument. The `strict` option reports the paths that could
+     *  not be resolved, catching typos that would otherwise be missed. The
+     *  `fallback` option replaces placeholders that have no value, which
+     *  stops them being reported.
+     *
+     *      var tmpl = template("<p>${user.nmae}</p>");
+     *      tmpl.render({user: {name: "a"}}, {strict: true});
+     *      // throws ReferenceError: Unresolved template paths: user.nmae
+     *      tmpl.render({user: {name: "a"}}, {strict: "warning"});
+     *      // -> "<p>${user.nmae}</p>" and logs the warning (see [[errors]])
+     *      tmpl.render({user: {name: "a"}}, {strict: true, fallback: ""});
+     *      // -> "<p></p>"
+     *
+     *  Conditions, collections and block values are checked as well. Data
+     *  that may be missing is marked with an `${#else}` or `${#empty}`
+     *  section, or with `?` at the start of the path.
+     *
+     *      template("${#if ?user.isAdmin}Admin${#end if}");
+     *
+     *  Templates are compiled into a single function when they are created
+     *  and cached, so creating a template from the same `string` with the
+     *  same `options` again returns the same template. Only the 100 most
+     *  recently used templates are kept and [[template.clearCache]] removes
+     *  them all.
+     *
+     *  Errors in the template `string` are thrown when the template is
+     *  created. The error message includes the line and column of the error
+     *  as well as an excerpt of the template, and the error has `line`,
+     *  `column` and `excerpt` properties.
+     *
+     *      template("<ul>\n  ${#each items as item}\n</ul>");
+     *      // throws SyntaxError:
+     *      // Unclosed each branch at line 2, column 3
+     *      //   ${#each items as item}
+     *      //   ^
+     *
+     **/
+    function makeTemplate(string, options) {
+
+        var syntax = makeSyntax(options);
+        var key = JSON.stringify([syntax.open, syntax.close, string]);
+        var template = cache.get(key);
+        var tree;
+
+        if (template) {
+            cache.delete(key);
+        } else {
+
+            tree = makeTemplateTree(syntax);
+            template = makeTemplateObject(
+                new Function("d", "r", setup(tree, string, syntax)),
+                tree
+            );
+
+        }
+
+        // Re-adding the template marks it as the most recently used.
+        cache.set(key, template);
+
+        if (cache.size > CACHE_SIZE) {
+            cache.delete(cache.keys().next().value);
+        }
+
+        return template;
+
+    }
+
+    /**
+     *  template.clearCache()
+     *
+     *  Removes every compiled template from the cache (see [[template]]).
+     *  Templates that have already been created keep working but creating
+     *  one again compiles it again.
+     *
+     *      var tmpl = template("<p>${name}</p>");
+     *      template.clearCache();
+     *      template("<p>${name}</p>") === tmpl; // -> false
+     *
+     **/
+    function clearCache() {
+        cache.clear();
+    }
+
+    /** related to: template.precompile
+     *  template.fromPrecompiled(compiled) -> Object
+     *  - compiled (Function): Compiled template function.
+     *
+     *  Creates a template from a function generated by
+     *  [[template.precompile]]. This allows templates to be compiled as part of
+     *  a build rather than in the browser.
+     *
+     *      var tmpl = template.fromPrecompiled(function (d, r) {
+     *          // ...
+     *      });
+     *      tmpl.render({name: "a"});
+     *
+     **/
+    function fromPrecompiled(compiled) {
+        return makeTemplateObject(compiled);
+    }
+
+    /** related to: template.fromPrecompiled
+     *  template.precompile(string[, options]) -> String
+     *  - string (String): Template source.
+     *  - options (Object): Optional delimiters (see [[template]]).
+     *
+     *  Compiles the template `string` and returns the source code of the
+     *  compiled function. The source code can be written to a file and passed
+     *  to [[template.fromPrecompiled]] later.
+     *
+     *      template.precompile("<p>${name}</p>");
+     *      // -> "function anonymous(d,r\n) {\nvar out = \"\";\n..."
+     *
+     **/
+    function precompile(string, options) {
+        return makeTemplate(string, options).toSource();
+    }
+
+    /**
+     *  template.register(name, string[, options]) -> Object
+     *  - name (String): Name of the partial.
+     *  - string (String): Template source.
+     *  - options (Object): Optional delimiters (see [[template]]).
+     *
+     *  Creates a template and registers it as a partial (see [[partials.add]])
+     *  so that it can be included in other templates. The template is
+     *  returned.
+     *
+     *      template.register("item", "<li>${name}</li>");
+     *      var list = template(
+     *          "<ul>${#each items as item}${#partial item with item}" +
+     *          "${#end each}</ul>"
+     *      );
+     *      list.render({items: [{name: "a"}, {name: "b"}]});
+     *      // -> "<ul><li>a</li><li>b</li></ul>"
+     *
+     **/
+    function register(name, string, options) {
+
+        var template = makeTemplate(string, options);
+
+        partials.add(name, template);
+
+        return template;
+
+    }
+
+    util.Object.assign(makeTemplate, {
+        clearCache: clearCache,
+        fromPrecompiled: fromPrecompiled,
+        precompile: precompile,
+        register: register
+    });
+
+    return makeTemplate;
 
 });
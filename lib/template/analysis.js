@@ -0,0 +1,180 @@
+define([
+    "lib/util",
+    "lib/template/paths"
+], function (
+    util,
+    paths
+) {
+
+    "use strict";
+
+    var analysis = {};
+
+    // Placeholder values for each kind of reference in a fixture.
+    var samples = {
+        placeholder: function (path) {
+            return path;
+        },
+        condition: function () {
+            return true;
+        },
+        collection: function () {
+            return [];
+        },
+        block: function () {
+            return {};
+        },
+        partial: function () {
+            return {};
+        }
+    };
+
+    function isContainer(value) {
+        return value !== null && typeof value === "object";
+    }
+
+    /**
+     *  analysis.createFixture(references) -> Object
+     *  - references (Array): References from a template's `getReferences`.
+     *
+     *  Creates sample data that supplies every referenced path. Placeholders
+     *  are given their own path as a value, conditions are `true` and
+     *  collections are arrays with a single entry if anything within the
+     *  entry is referenced.
+     *
+     *      analysis.createFixture([
+     *          {kind: "condition", path: "user.admin"},
+     *          {kind: "collection", path: "items"},
+     *          {kind: "placeholder", path: "items[].name"}
+     *      ]);
+     *      // -> {user: {admin: true}, items: [{name: "items[].name"}]}
+     *
+     **/
+    function createFixture(references) {
+
+        var fixture = {};
+
+        references.forEach(function (reference) {
+
+            var segments = paths.toSegments(reference.path);
+            var target = fixture;
+
+            segments.forEach(function (segment, i) {
+
+                var key = segment === "[]"
+                    ? 0
+                    : segment;
+
+                if (i < segments.length - 1) {
+
+                    if (!isContainer(target[key])) {
+
+                        target[key] = segments[i + 1] === "[]"
+                            ? []
+                            : {};
+
+                    }
+
+                    target = target[key];
+
+                } else if (target[key] === undefined) {
+
+                    target[key] = util.Object.owns(samples, reference.kind)
+                        ? samples[reference.kind](reference.path)
+                        : reference.path;
+
+                }
+
+            });
+
+        });
+
+        return fixture;
+
+    }
+
+    // Gets the path to every value in the data that isn't an object or array.
+    function getLeaves(data, prefix) {
+
+        var leaves = [];
+
+        if (!isContainer(data) || !Object.keys(data).length) {
+            leaves.push(prefix);
+        } else if (Array.isArray(data)) {
+
+            data.forEach(function (entry) {
+                leaves = leaves.concat(getLeaves(entry, prefix + "[]"));
+            });
+
+        } else {
+
+            util.Object.each(data, function (key, value) {
+
+                leaves = leaves.concat(getLeaves(
+                    value,
+                    prefix
+                        ? prefix + "." + key
+                        : key
+                ));
+
+            });
+
+        }
+
+        return leaves;
+
+    }
+
+    /**
+     *  analysis.findUnused(data, references) -> Array
+     *  - data (Object): Data that would be passed to the template.
+     *  - references (Array): References from a template's `getReferences`.
+     *
+     *  Finds the paths in `data` that the template never uses. Entries in an
+     *  array are written with empty brackets (see [[paths.toSegments]]).
+     *
+     *      analysis.findUnused({
+     *          user: {name: "a", age: 20},
+     *          items: [{id: 1, name: "b"}]
+     *      }, [
+     *          {kind: "placeholder", path: "user.name"},
+     *          {kind: "collection", path: "items"},
+     *          {kind: "placeholder", path: "items[].name"}
+     *      ]);
+     *      // -> ["user.age", "items[].id"]
+     *
+     *  A value is used if it or anything within it is referenced. Values
+     *  inside a placeholder, block or partial are also used, since the whole
+     *  value is passed on, but checking a condition or looping over a
+     *  collection doesn't use the values within it.
+     **/
+    function findUnused(data, references) {
+
+        return util.Array.unique(getLeaves(data, "")).filter(function (leaf) {
+
+            var length = paths.toSegments(leaf).length;
+
+            return leaf && !references.some(function (reference) {
+
+                return paths.overlaps(leaf, reference.path) && (
+                    paths.toSegments(reference.path).length >= length
+                    || (
+                        reference.kind !== "condition"
+                        && reference.kind !== "collection"
+                    )
+                );
+
+            });
+
+        });
+
+    }
+
+    util.Object.assign(analysis, {
+        createFixture: createFixture,
+        findUnused: findUnused
+    });
+
+    return Object.freeze(analysis);
+
+});
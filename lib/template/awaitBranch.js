@@ -0,0 +1,159 @@
+define([
+    "lib/util",
+    "lib/template/baseBranch",
+    "lib/template/paths"
+], function (
+    util,
+    makeBaseBranch,
+    paths
+) {
+
+    "use strict";
+
+    // The order that the sections must appear in.
+    const ORDER = ["await", "then", "catch"];
+
+    function compileContent(branches) {
+
+        return "function (d) {\nvar out = \"\";\n"
+                + util.Array.invoke(branches, "compile").join("")
+                + "return out;\n}";
+
+    }
+
+    function parseName(tag) {
+
+        var parts = tag.args.match(/^(\w+)?$/);
+
+        if (!parts) {
+            throw new SyntaxError("Unexpected " + tag.source);
+        }
+
+        return parts[1];
+
+    }
+
+    return function (tag) {
+
+        var parts = tag.args.match(/^(\S+)$/);
+        var baseBranch = makeBaseBranch();
+        var dataKey;
+        var awaitBranch;
+        // The pending content followed by the optional "then" and "catch".
+        var sections = [{
+            type: "await",
+            branches: baseBranch.branches
+        }];
+
+        function getSection(type) {
+
+            return util.Array.first(sections, function (section) {
+                return section.type === type;
+            });
+
+        }
+
+        if (!parts) {
+            throw new SyntaxError("Expecting a path in " + tag.source);
+        }
+
+        dataKey = parts[1];
+
+        awaitBranch = util.Object.assign({}, baseBranch, {
+
+            type: "await",
+            sections: sections,
+
+            addBranch: function (branch) {
+                util.Array.last(sections).branches.push(branch);
+            },
+
+            addSection: function (type, tag) {
+
+                var last = util.Array.last(sections);
+
+                if (ORDER.indexOf(type) <= ORDER.indexOf(last.type)) {
+
+                    throw new SyntaxError(
+                        "Unexpected " + type + " after " + last.type
+                    );
+
+                }
+
+                sections.push({
+                    type: type,
+                    name: parseName(tag),
+                    branches: []
+                });
+
+            },
+
+            getReferences: function () {
+
+                var found = [paths.reference("await", dataKey)];
+
+                sections.forEach(function (section) {
+
+                    [].concat(
+                        ...util.Array.invoke(section.branches, "getReferences")
+                    ).forEach(function (reference) {
+
+                        var first = paths.toSegments(reference.path)[0];
+
+                        if (!section.name || first !== section.name) {
+                            found.push(reference);
+                        } else if (section.type === "then") {
+
+                            found.push(paths.reference(
+                                reference.kind,
+                                paths.resolve(
+                                    reference.path,
+                                    section.name,
+                                    dataKey
+                                )
+                            ));
+
+                        }
+
+                    });
+
+                });
+
+                return found;
+
+            },
+
+            compile: function () {
+
+                var names = {};
+
+                sections.forEach(function (section) {
+
+                    if (section.name) {
+                        names[section.type] = section.name;
+                    }
+
+                });
+
+                return "out += r[\"await\"](r.access(d, "
+                        + JSON.stringify(dataKey) + "), d, "
+                        + JSON.stringify(names) + ", "
+                        + ORDER.map(function (type) {
+
+                            var section = getSection(type);
+
+                            return section
+                                ? compileContent(section.branches)
+                                : "null";
+
+                        }).join(", ") + ");\n";
+
+            }
+
+        });
+
+        return Object.freeze(awaitBranch);
+
+    };
+
+});
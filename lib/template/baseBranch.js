@@ -26,8 +26,16 @@ define([
                 base.branches.push(branch);
             },
 
-            render: function (data) {
-                return util.Array.invoke(base.branches, "render", data).join("");
+            compile: function () {
+                return util.Array.invoke(base.branches, "compile").join("");
+            },
+
+            getReferences: function () {
+
+                return [].concat(
+                    ...util.Array.invoke(base.branches, "getReferences")
+                );
+
             }
 
         };
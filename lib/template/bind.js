@@ -0,0 +1,158 @@
+/*jslint browser */
+define([
+    "lib/util",
+    "lib/template/paths",
+    "lib/template/i18n"
+], function (
+    util,
+    paths,
+    i18n
+) {
+
+    "use strict";
+
+    const ATTRIBUTE = "data-bind";
+
+    // Gets the value that a form control should write back to the model.
+    function readValue(control) {
+
+        var value = control.value;
+
+        if (control.type === "checkbox") {
+            value = control.checked;
+        } else if (control.type === "select-multiple") {
+
+            value = util.Array.from(control.options).filter(function (option) {
+                return option.selected;
+            }).map(function (option) {
+                return option.value;
+            });
+
+        }
+
+        return value;
+
+    }
+
+    /**
+     *  bind(template, element, model[, options]) -> Object
+     *  - template (Object): Template from [[template]].
+     *  - element (Element): Element to render the template into.
+     *  - model (Object): Observable model from [[makeObservable]].
+     *  - options (Object): Optional render options (see [[runtime.create]]).
+     *
+     *  Renders the `template` into the `element` using the data in `model` and
+     *  keeps the two in sync. When the model changes, only the parts of the
+     *  template that use the changed path are rendered again and patched (see
+     *  [[patch.patchPart]]). The parts are the placeholders and the top-level
+     *  branches that appear in the text of an element. A change to a path
+     *  used anywhere else, such as within a tag, re-renders the whole
+     *  template (see [[patch.patch]]). When a form control within the element
+     *  with a `data-bind` attribute changes, the path given in the attribute
+     *  is set on the model.
+     *
+     *      var model = makeObservable({agree: false});
+     *      var binding = bind(template(
+     *          "<input type=\"checkbox\" data-bind=\"agree\"" +
+     *          "${#if agree} checked${#end if}>" +
+     *          "${#if agree}<p>Thanks!</p>${#end if}"
+     *      ), element, model);
+     *      // Ticking the box sets "agree" to true and shows the paragraph.
+     *      binding.unbind();
+     *
+     *  Checkboxes set `true` or `false`, radio buttons set their value when
+     *  they are checked and multiple selects set an array of the selected
+     *  values. All other controls set their value. The element is also
+     *  re-rendered when the locale changes (see [[i18n.setLocale]]). The
+     *  returned object has an `unbind` method which stops the element and
+     *  model from being kept in sync.
+     **/
+    return function bind(template, element, model, options) {
+
+        var used;
+
+        function render(ids) {
+            template.renderInto(element, model.get(), options, ids);
+        }
+
+        function renderAll() {
+            render();
+        }
+
+        function isUsing(usedPaths, path) {
+
+            return usedPaths.some(function (usedPath) {
+                return paths.overlaps(path, usedPath);
+            });
+
+        }
+
+        function update(path) {
+
+            var ids;
+
+            // Partials may be registered after the template was created so
+            // the paths are only worked out when they're first needed.
+            if (used === undefined) {
+                used = template.getParts() || null;
+            }
+
+            if (!used || isUsing(used.others, path)) {
+                render();
+            } else {
+
+                ids = used.parts.map(function (partPaths, id) {
+
+                    return isUsing(partPaths, path)
+                        ? id
+                        : -1;
+
+                }).filter(function (id) {
+                    return id > -1;
+                });
+
+                if (ids.length) {
+                    render(ids);
+                }
+
+            }
+
+        }
+
+        function write(e) {
+
+            var control = e.target;
+            var path = control.getAttribute(ATTRIBUTE);
+
+            if (
+                path
+                && element.contains(control)
+                && (control.type !== "radio" || control.checked)
+            ) {
+                model.set(path, readValue(control));
+            }
+
+        }
+
+        renderAll();
+        model.subscribe(update);
+        i18n.subscribe(renderAll);
+        element.addEventListener("input", write);
+        element.addEventListener("change", write);
+
+        return Object.freeze({
+
+            unbind: function () {
+
+                model.unsubscribe(update);
+                i18n.unsubscribe(renderAll);
+                element.removeEventListener("input", write);
+                element.removeEventListener("change", write);
+
+            }
+
+        });
+
+    };
+
+});
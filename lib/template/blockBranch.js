@@ -0,0 +1,150 @@
+define([
+    "lib/util",
+    "lib/template/baseBranch",
+    "lib/template/expression",
+    "lib/template/paths"
+], function (
+    util,
+    makeBaseBranch,
+    expression,
+    paths
+) {
+
+    "use strict";
+
+    function parseValue(tag) {
+
+        return tag.args.trim()
+            ? expression.parse(tag.args.trim())
+            : undefined;
+
+    }
+
+    // Finds the references within a scoped block, such as ${#with user}, where
+    // "name" could be "user.name" or "name" from outside the block.
+    function getScopedReferences(section) {
+
+        var found = [];
+
+        [].concat(
+            ...util.Array.invoke(section.branches, "getReferences")
+        ).forEach(function (reference) {
+
+            if (reference.path.charAt(0) !== "@") {
+
+                found.push(paths.reference(
+                    reference.kind,
+                    section.value.path + "." + reference.path
+                ));
+
+            }
+
+            found.push(reference);
+
+        });
+
+        return found;
+
+    }
+
+    return function (name, isScoped, tag) {
+
+        var baseBranch = makeBaseBranch();
+        var sections = [{
+            type: name,
+            value: parseValue(tag),
+            branches: baseBranch.branches
+        }];
+
+        var blockBranch = util.Object.assign({}, baseBranch, {
+
+            type: name,
+            sections: sections,
+
+            addBranch: function (branch) {
+                util.Array.last(sections).branches.push(branch);
+            },
+
+            addSection: function (type, tag) {
+
+                sections.push({
+                    type: type,
+                    value: parseValue(tag),
+                    branches: []
+                });
+
+            },
+
+            getReferences: function () {
+
+                var found = [];
+
+                sections.forEach(function (section, i) {
+
+                    if (section.value) {
+
+                        found = found.concat(
+                            expression.getPaths(section.value).map(
+                                util.Function.curry(paths.reference, "block")
+                            )
+                        );
+
+                    }
+
+                    found = found.concat(
+                        (
+                            isScoped
+                            && i === 0
+                            && section.value
+                            && section.value.type === "path"
+                        )
+                            ? getScopedReferences(section)
+                            : [].concat(...util.Array.invoke(
+                                section.branches,
+                                "getReferences"
+                            ))
+                    );
+
+                });
+
+                return found;
+
+            },
+
+            compile: function () {
+
+                // With an "else", the values may read missing data.
+                var isOptional = sections.some(function (section) {
+                    return section.type === "else";
+                });
+
+                return "out += r.block(" + JSON.stringify(name) + ", [\n"
+                        + sections.map(function (section) {
+
+                            return "{\ntype: " + JSON.stringify(section.type)
+                                    + ",\nvalue: " + (
+                                        section.value
+                                            ? expression.toSource(
+                                                section.value,
+                                                isOptional
+                                            )
+                                            : "undefined"
+                                    ) + ",\nrender: function (d) {\n"
+                                    + "var out = \"\";\n"
+                                    + util.Array.invoke(
+                                        section.branches,
+                                        "compile"
+                                    ).join("")
+                                    + "return out;\n}\n}";
+
+                        }).join(",\n") + "\n], d);\n";
+
+            }
+
+        });
+
+        return Object.freeze(blockBranch);
+
+    };
+
+});
@@ -0,0 +1,144 @@
+define([
+    "lib/util",
+    "lib/template/types",
+    "lib/template/blockBranch"
+], function (
+    util,
+    types,
+    makeBlockBranch
+) {
+
+    "use strict";
+
+    var blocks = {};
+    var helpers = {};
+
+    // Renders the named section, if it exists.
+    function renderSection(sections, type, data) {
+
+        var section = util.Array.first(sections, function (section) {
+            return section.type === type;
+        });
+
+        return section
+            ? section.render(data)
+            : "";
+
+    }
+
+    /**
+     *  blocks.add(name, helper[, sections[, options]])
+     *  - name (String): Name of the block.
+     *  - helper (Function): Function that renders the block.
+     *  - sections (Array): Optional names of sections within the block.
+     *  - options (Object): Optional settings for the block.
+     *
+     *  Adds a block that can be used in templates as `${#name value}` ...
+     *  `${#end name}`. The `value` is optional and may be any expression that
+     *  `${#if}` would accept (see [[expression.parse]]). The `sections` names
+     *  allow the block to be split up, the same way `${#else}` splits up an
+     *  `${#if}`.
+     *
+     *  When the template is rendered, the `helper` is passed an array of the
+     *  sections and the current data. The first section is the block itself.
+     *  Each section has a `type` (the block or section name), a `value` (the
+     *  evaluated expression) and a `render` method that takes the data to
+     *  render the section with. The `helper` should return a string.
+     *
+     *      blocks.add("unless", function (sections, data) {
+     *
+     *          return !sections[0].value
+     *              ? sections[0].render(data)
+     *              : sections[1]
+     *                  ? sections[1].render(data)
+     *                  : "";
+     *
+     *      }, ["else"]);
+     *
+     *      template("${#unless user.banned}Hi${#else}Bye${#end unless}");
+     *
+     *  If `options.scoped` is `true`, the block renders its first section with
+     *  the properties of its value added to the data, as `${#with}` does. A
+     *  template's `getReferences` then reports the paths within that section
+     *  both within the value and as they are, so `${name}` in `${#with user}`
+     *  refers to `user.name` and `name`.
+     *
+     *  The `with`, `unless` and `switch` (with `case` and `default` sections)
+     *  blocks are added by default.
+     **/
+    function add(name, helper, sections, options) {
+
+        if (typeof helper !== "function") {
+            throw new TypeError("Block " + name + " must be a function");
+        }
+
+        helpers[name] = helper;
+        types.add(name, util.Function.curry(
+            makeBlockBranch,
+            name,
+            Boolean(options && options.scoped)
+        ));
+
+        util.Array.forEach(sections || [], function (section) {
+            types.addSection(section, name);
+        });
+
+    }
+
+    /**
+     *  blocks.get(name) -> Function|undefined
+     *  - name (String): Name of the block.
+     *
+     *  Gets the helper for the named block.
+     **/
+    function get(name) {
+
+        return util.Object.owns(helpers, name)
+            ? helpers[name]
+            : undefined;
+
+    }
+
+    // ${#with user}${name}${#else}No user${#end with}
+    add("with", function (sections, data) {
+
+        var value = sections[0].value;
+
+        return (value === null || value === undefined)
+            ? renderSection(sections, "else", data)
+            : sections[0].render(util.Object.assign({}, data, value));
+
+    }, ["else"], {scoped: true});
+
+    // ${#unless user.banned}Welcome${#else}Banned${#end unless}
+    add("unless", function (sections, data) {
+
+        return !sections[0].value
+            ? sections[0].render(data)
+            : renderSection(sections, "else", data);
+
+    }, ["else"]);
+
+    // ${#switch status}${#case "a"}A${#case "b"}B${#default}?${#end switch}
+    // Anything between the "switch" and the first "case" is ignored.
+    add("switch", function (sections, data) {
+
+        var value = sections[0].value;
+        var match = util.Array.first(sections, function (section) {
+            return section.type === "case" && section.value === value;
+        });
+
+        return match
+            ? match.render(data)
+            : renderSection(sections, "default", data);
+
+    }, ["case", "default"]);
+
+    util.Object.assign(blocks, {
+        add: add,
+        get: get
+    });
+
+    return Object.freeze(blocks);
+
+});
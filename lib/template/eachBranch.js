@@ -1,61 +1,147 @@
 define([
     "lib/util",
-    "lib/template/baseBranch"
+    "lib/template/baseBranch",
+    "lib/template/paths"
 ], function (
     util,
-    makeBaseBranch
+    makeBaseBranch,
+    paths
 ) {
 
-    return function (condition) {
+    "use strict";
 
-        var reg = /\$\{#each\s+([\w]+)\s+as(\s([\w]+)\s+to)?\s+([\w]+)\}/;
-        var parts = condition.match(reg);
-        var dataKey = parts[1];
-        var iterationKey = parts[3];
-        var iterationValue = parts[4];
+    function compileContent(branches) {
 
-        var eachBranch = util.Object.assign({}, makeBaseBranch(), {
+        return "function (d) {\nvar out = \"\";\n"
+                + util.Array.invoke(branches, "compile").join("")
+                + "return out;\n}";
+
+    }
+
+    return function (tag) {
+
+        var reg = /^(\S+)\s+as(\s([\w]+)\s+to)?\s+([\w]+)(?:\s+key=(\S+))?$/;
+        var parts = tag.args.match(reg);
+        var dataKey;
+        var isOptional;
+        var iterationKey;
+        var iterationValue;
+        var names;
+        var eachBranch;
+        var baseBranch = makeBaseBranch();
+        // The loop content followed by the optional "empty" section.
+        var sections = [{
+            type: "each",
+            branches: baseBranch.branches
+        }];
+
+        if (!parts) {
+
+            throw new SyntaxError(
+                "Expecting \"path as name\" in " + tag.source
+            );
+
+        }
+
+        // As with conditions, "?" marks a collection that may be missing.
+        isOptional = parts[1].charAt(0) === "?";
+        dataKey = isOptional
+            ? parts[1].slice(1)
+            : parts[1];
+        iterationKey = parts[3];
+        iterationValue = parts[4];
+        names = {
+            value: iterationValue,
+            index: iterationKey,
+            key: parts[5]
+        };
+
+        eachBranch = util.Object.assign({}, baseBranch, {
 
             type: "each",
+            sections: sections,
 
-            pair: function (data) {
+            addBranch: function (branch) {
+                util.Array.last(sections).branches.push(branch);
+            },
+
+            addSection: function (type) {
 
-                return util.Array.isArrayLike(data)
-                    ? util.Array.map(data, function (value, key) {
+                if (sections.length > 1) {
 
-                        return {
-                            key: key,
-                            value: value
-                        };
+                    throw new SyntaxError(
+                        "Unexpected " + type + " after empty"
+                    );
 
-                    })
-                    : util.Object.pair(data);
+                }
+
+                sections.push({
+                    type: type,
+                    branches: []
+                });
 
             },
 
-            render: function (data) {
+            getReferences: function () {
+
+                var empty = sections[1];
+                var found = [paths.reference("collection", dataKey)];
 
-                var rendered = "";
-                var datum = eachBranch.pair(data[dataKey]);
-                var branchData = util.Object.clone(data);
+                if (names.key) {
 
-                datum.forEach(function (pair) {
+                    found.push(paths.reference(
+                        "key",
+                        dataKey + "[]." + names.key
+                    ));
 
-                    eachBranch.branches.forEach(function (branch) {
+                }
 
-                        branchData[iterationValue] = pair.value;
+                baseBranch.getReferences().forEach(function (reference) {
 
-                        if (iterationKey) {
-                            branchData[iterationKey] = pair.key
-                        }
+                    var first = paths.toSegments(reference.path)[0];
 
-                        rendered += branch.render(branchData);
+                    // The key and loop variables aren't part of the data.
+                    if (first !== iterationKey && first.charAt(0) !== "@") {
 
-                    });
+                        found.push(paths.reference(
+                            reference.kind,
+                            paths.resolve(
+                                reference.path,
+                                iterationValue,
+                                dataKey + "[]"
+                            )
+                        ));
+
+                    }
 
                 });
 
-                return rendered;
+                return empty
+                    ? found.concat(
+                        ...util.Array.invoke(empty.branches, "getReferences")
+                    )
+                    : found;
+
+            },
+
+            compile: function () {
+
+                var empty = sections[1];
+
+                // With an "empty" section, the collection may be missing.
+                return "out += r.each("
+                        + (
+                            (empty || isOptional)
+                                ? "r.lookup(d, "
+                                : "r.access(d, "
+                        ) + JSON.stringify(dataKey)
+                        + "), d, " + JSON.stringify(names) + ", "
+                        + compileContent(baseBranch.branches)
+                        + (
+                            empty
+                                ? ", " + compileContent(empty.branches)
+                                : ""
+                        ) + ");\n";
 
             }
 
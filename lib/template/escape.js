@@ -0,0 +1,377 @@
+define([
+    "lib/util"
+], function (
+    util
+) {
+
+    "use strict";
+
+    var escape = {};
+
+    const TEXT = "text";
+    const ATTRIBUTE = "attribute";
+    const URL = "url";
+
+    // Attributes whose values are URLs, which are checked before they are
+    // output since a "javascript:" URL runs when it's followed.
+    var urlAttributes = [
+        "action",
+        "background",
+        "cite",
+        "data",
+        "formaction",
+        "href",
+        "poster",
+        "src",
+        "xlink:href"
+    ];
+
+    // Elements whose content is never parsed as markup.
+    var rawTextElements = ["script", "style", "textarea", "title"];
+
+    // Only these schemes are allowed at the start of a URL, anything without
+    // a scheme being relative.
+    var urlSchemes = ["http", "https", "mailto"];
+
+    var entities = {
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        "\"": "&quot;",
+        "'": "&#39;",
+        "`": "&#96;"
+    };
+
+    /**
+     *  escape.html(value) -> String
+     *  - value (?): Value to escape.
+     *
+     *  Escapes the given `value` so that it can be safely placed within the
+     *  text content of an element.
+     *
+     *      escape.html("<b>\"hi\"</b>");
+     *      // -> "&lt;b&gt;&quot;hi&quot;&lt;/b&gt;"
+     *
+     **/
+    function html(value) {
+
+        return util.String.interpret(value).replace(
+            /[&<>"'`]/g,
+            function (character) {
+                return entities[character];
+            }
+        );
+
+    }
+
+    /**
+     *  escape.attribute(value) -> String
+     *  - value (?): Value to escape.
+     *
+     *  Escapes the given `value` so that it can be safely placed within an
+     *  attribute value. Every character that isn't alphanumeric is converted
+     *  into a numeric character reference, making the result safe even if the
+     *  attribute value isn't quoted.
+     *
+     *      escape.attribute("a\" onclick=\"b");
+     *      // -> "a&#x22;&#x20;onclick&#x3d;&#x22;b"
+     *
+     **/
+    function attribute(value) {
+
+        return util.String.interpret(value).replace(
+            /[^\w,.\-]/gu,
+            function (character) {
+                return "&#x" + character.codePointAt(0).toString(16) + ";";
+            }
+        );
+
+    }
+
+    /**
+     *  escape.url(value) -> String
+     *  - value (?): URL to escape.
+     *
+     *  Escapes the given `value` as an attribute value (see
+     *  [[escape.attribute]]) after checking that it is either relative or
+     *  uses the `http`, `https` or `mailto` scheme. Any other URL, such as a
+     *  `javascript:` one, is replaced with `"about:invalid"`.
+     *
+     *      escape.url("/a?b=1");              // -> "&#x2f;a&#x3f;b&#x3d;1"
+     *      escape.url("javascript:alert(1)"); // -> "about&#x3a;invalid"
+     *
+     **/
+    function url(value) {
+
+        var str = util.String.interpret(value);
+        // Browsers ignore whitespace and control characters in the scheme.
+        var scheme = str.replace(/[\u0000-\u0020]/g, "").match(
+            /^([a-z][a-z0-9+.\-]*):/i
+        );
+
+        if (scheme && urlSchemes.indexOf(scheme[1].toLowerCase()) < 0) {
+            str = "about:invalid";
+        }
+
+        return attribute(str);
+
+    }
+
+    // Reads the markup in order to find where it ends: "text", "raw" (the
+    // content of an element such as <script>), "comment", "tag", "value"
+    // (before an attribute value starts), "quoted" or "unquoted". The name of
+    // the last attribute and whether its value is still empty are included.
+    function getState(markup) {
+
+        var str = util.String.interpret(markup);
+        var length = str.length;
+        var i = 0;
+        var state = "text";
+        var tagName = "";
+        var name = "";
+        var isNameDone = false;
+        var quote = "";
+        var isValueEmpty = true;
+        var character;
+        var tag;
+
+        function endTag() {
+
+            state = rawTextElements.indexOf(tagName) > -1
+                ? "raw"
+                : "text";
+
+        }
+
+        while (i < length) {
+
+            character = str.charAt(i);
+
+            switch (state) {
+
+            case "raw":
+
+                if (str.slice(i, i + tagName.length + 2).toLowerCase()
+                        === "</" + tagName) {
+
+                    state = "tag";
+                    isNameDone = true;
+                    i += tagName.length + 1;
+                    tagName = "";
+
+                }
+
+                break;
+
+            case "comment":
+
+                if (str.slice(i, i + 3) === "-->") {
+
+                    state = "text";
+                    i += 2;
+
+                }
+
+                break;
+
+            case "tag":
+
+                if (character === ">") {
+                    endTag();
+                } else if (character === "=") {
+
+                    state = "value";
+                    isValueEmpty = true;
+
+                } else if ((/\s|\//).test(character)) {
+                    isNameDone = true;
+                } else {
+
+                    if (isNameDone) {
+
+                        name = "";
+                        isNameDone = false;
+
+                    }
+
+                    name += character.toLowerCase();
+
+                }
+
+                break;
+
+            case "value":
+
+                if (character === ">") {
+                    endTag();
+                } else if (character === "\"" || character === "'") {
+
+                    state = "quoted";
+                    quote = character;
+
+                } else if (!(/\s/).test(character)) {
+
+                    state = "unquoted";
+                    isValueEmpty = false;
+
+                }
+
+                break;
+
+            case "quoted":
+
+                if (character === quote) {
+
+                    state = "tag";
+                    name = "";
+
+                } else {
+                    isValueEmpty = false;
+                }
+
+                break;
+
+            case "unquoted":
+
+                if (character === ">") {
+                    endTag();
+                } else if ((/\s/).test(character)) {
+
+                    state = "tag";
+                    name = "";
+
+                }
+
+                break;
+
+            // case "text":
+            default:
+
+                tag = str.slice(i).match(/^<(\/?)([a-z][^\s\/>]*)/i);
+
+                if (str.slice(i, i + 4) === "<!--") {
+
+                    state = "comment";
+                    i += 3;
+
+                } else if (tag) {
+
+                    // The tag's own name is skipped since it isn't an
+                    // attribute. Closing tags never start raw text.
+                    state = "tag";
+                    tagName = tag[1]
+                        ? ""
+                        : tag[2].toLowerCase();
+                    name = "";
+                    isNameDone = true;
+                    i += tag[0].length - 1;
+
+                }
+
+            }
+
+            i += 1;
+
+        }
+
+        return {
+            state: state,
+            name: name,
+            isValueEmpty: isValueEmpty
+        };
+
+    }
+
+    /**
+     *  escape.getContext(markup) -> String
+     *  - markup (String): Markup that appears before the placeholder.
+     *
+     *  Works out whether a placeholder that follows the given `markup` would
+     *  appear inside a tag (returning [[escape.ATTRIBUTE]]) or within the
+     *  text content of an element (returning [[escape.TEXT]]). A placeholder
+     *  at the start of a URL attribute value, such as `href`, returns
+     *  [[escape.URL]].
+     *
+     *      escape.getContext("<p>");                  // -> "text"
+     *      escape.getContext("<p class=\"");         // -> "attribute"
+     *      escape.getContext("<a title=\"x>y\" id="); // -> "attribute"
+     *      escape.getContext("<a href=\"");          // -> "url"
+     *
+     *  The tags are read in order, keeping track of quoted attribute values,
+     *  so a `>` within a quoted value doesn't end the tag.
+     **/
+    function getContext(markup) {
+
+        var found = getState(markup);
+
+        if (
+            found.state === "text"
+            || found.state === "raw"
+            || found.state === "comment"
+        ) {
+            return TEXT;
+        }
+
+        return (
+            found.state !== "tag"
+            && found.isValueEmpty
+            && urlAttributes.indexOf(found.name) > -1
+        )
+            ? URL
+            : ATTRIBUTE;
+
+    }
+
+    /**
+     *  escape.isInText(markup) -> Boolean
+     *  - markup (String): Markup to check.
+     *
+     *  Checks to see whether the given `markup` ends in the text content of an
+     *  element, where any markup that follows becomes new nodes. This isn't
+     *  the case within a tag, a comment or an element whose content is raw
+     *  text, such as `<script>` or `<textarea>`.
+     *
+     *      escape.isInText("<p>");          // -> true
+     *      escape.isInText("<p class=\""); // -> false
+     *      escape.isInText("<textarea>");   // -> false
+     *
+     **/
+    function isInText(markup) {
+        return getState(markup).state === "text";
+    }
+
+    /**
+     *  escape.escape(value, context) -> String
+     *  - value (?): Value to escape.
+     *  - context (String): Context in which `value` will appear.
+     *
+     *  Escapes `value` based on the `context` (see [[escape.getContext]]).
+     **/
+    function escapeValue(value, context) {
+
+        return context === URL
+            ? url(value)
+            : context === ATTRIBUTE
+                ? attribute(value)
+                : html(value);
+
+    }
+
+    util.Object.assign(escape, {
+
+        TEXT: TEXT,
+        ATTRIBUTE: ATTRIBUTE,
+        URL: URL,
+
+        attribute: attribute,
+        escape: escapeValue,
+        getContext: getContext,
+        html: html,
+        isInText: isInText,
+        url: url
+
+    });
+
+    return Object.freeze(escape);
+
+});
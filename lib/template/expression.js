@@ -0,0 +1,448 @@
+define([
+    "lib/util"
+], function (
+    util
+) {
+
+    "use strict";
+
+    var expression = {};
+
+    // Operators in the order that they should be matched.
+    const TOKEN = /^\s*(&&|\|\||===|!==|==|!=|<=|>=|<|>|!|\(|\)|(["'`])[\s\S]*?\2|[^\s()!<>=&|"'`]+)/;
+
+    var tests = {
+
+        "<": function (data, value) {
+            return data < value;
+        },
+
+        ">": function (data, value) {
+            return data > value;
+        },
+
+        "<=": function (data, value) {
+            return data <= value;
+        },
+
+        ">=": function (data, value) {
+            return data >= value;
+        },
+
+        "!==": function (data, value) {
+            return data !== value;
+        },
+
+        "===": function (data, value) {
+            return data === value;
+        }
+
+    };
+    // Basic aliases.
+    tests["!="] = tests["!=="];
+    tests["=="] = tests["==="];
+
+    // The JavaScript operators that the comparisons compile into.
+    var operators = {
+        "==": "===",
+        "!=": "!=="
+    };
+
+    var literals = {
+        "null": null,
+        "undefined": undefined,
+        "true": true,
+        "false": false
+    };
+
+    function tokenise(source) {
+
+        var str = util.String.interpret(source);
+        var tokens = [];
+        var match;
+
+        while (str.trim()) {
+
+            match = str.match(TOKEN);
+
+            if (!match) {
+
+                throw new SyntaxError(
+                    "Unexpected " + str.trim() + " in condition " + source
+                );
+
+            }
+
+            tokens.push(match[1]);
+            str = str.slice(match[0].length);
+
+        }
+
+        return tokens;
+
+    }
+
+    // Converts a value token into either a literal or a data path.
+    function decode(token) {
+
+        var node = {
+            type: "literal"
+        };
+
+        if (util.Object.owns(literals, token)) {
+            node.value = literals[token];
+        } else if ((/^(["'`])[\s\S]*\1$/).test(token)) {
+            node.value = token.slice(1, -1);
+        } else if (util.Number.isNumeric(token)) {
+            node.value = +token;
+        } else if (token.charAt(0) === "?" && token.length > 1) {
+
+            node = {
+                type: "path",
+                path: token.slice(1),
+                isOptional: true
+            };
+
+        } else {
+
+            node = {
+                type: "path",
+                path: token
+            };
+
+        }
+
+        return node;
+
+    }
+
+    /**
+     *  expression.parse(source) -> Object
+     *  - source (String): Expression to parse.
+     *
+     *  Parses the given `source` into an expression tree that can be passed to
+     *  [[expression.evaluate]]. The expression may contain data paths,
+     *  literals (strings, numbers, `true`, `false`, `null` and `undefined`),
+     *  the comparison operators `===`, `!==`, `==`, `!=`, `<`, `>`, `<=` and
+     *  `>=`, the logical operators `&&`, `||` and `!` and parentheses. A data
+     *  path can start with `?` to mark it as optional (see
+     *  [[expression.toSource]]).
+     *
+     *      expression.parse("user.age >= limits.min && !user.banned");
+     *      // -> {type: "and", left: {...}, right: {...}}
+     *
+     *  The operators have the same precedence as they would in JavaScript. A
+     *  `SyntaxError` is thrown if the `source` cannot be parsed.
+     **/
+    function parse(source) {
+
+        var tokens = tokenise(source);
+        var index = 0;
+        var parseOr;
+        var node;
+
+        function peek() {
+            return tokens[index];
+        }
+
+        function fail(found) {
+
+            throw new SyntaxError(
+                "Unexpected " + (
+                    found === undefined
+                        ? "end"
+                        : found
+                ) + " in condition " + source
+            );
+
+        }
+
+        function next() {
+
+            var token = tokens[index];
+
+            if (token === undefined) {
+                fail();
+            }
+
+            index += 1;
+
+            return token;
+
+        }
+
+        function parseOperand() {
+
+            var token = next();
+            var operand;
+
+            if (token === "(") {
+
+                operand = parseOr();
+
+                if (next() !== ")") {
+                    fail(tokens[index - 1]);
+                }
+
+            } else if (token === "!") {
+
+                operand = {
+                    type: "not",
+                    operand: parseOperand()
+                };
+
+            } else if (token === ")" || util.Object.owns(tests, token)) {
+                fail(token);
+            } else {
+                operand = decode(token);
+            }
+
+            return operand;
+
+        }
+
+        function parseComparison() {
+
+            var left = parseOperand();
+
+            if (util.Object.owns(tests, peek())) {
+
+                left = {
+                    type: "compare",
+                    operator: next(),
+                    left: left,
+                    right: parseOperand()
+                };
+
+            }
+
+            return left;
+
+        }
+
+        function makeLogicalParser(operator, type, parseSide) {
+
+            return function () {
+
+                var left = parseSide();
+
+                while (peek() === operator) {
+
+                    next();
+                    left = {
+                        type: type,
+                        left: left,
+                        right: parseSide()
+                    };
+
+                }
+
+                return left;
+
+            };
+
+        }
+
+        parseOr = makeLogicalParser(
+            "||",
+            "or",
+            makeLogicalParser("&&", "and", parseComparison)
+        );
+
+        node = parseOr();
+
+        if (index < tokens.length) {
+            fail(peek());
+        }
+
+        return node;
+
+    }
+
+    /**
+     *  expression.evaluate(node, data) -> ?
+     *  - node (Object): Expression tree from [[expression.parse]].
+     *  - data (Object): Data to evaluate the expression against.
+     *
+     *  Evaluates the expression tree against the given `data`.
+     *
+     *      var node = expression.parse("a > 1 && !b");
+     *      expression.evaluate(node, {a: 2, b: false}); // -> true
+     *
+     *  As with JavaScript, `&&` and `||` return one of their operands rather
+     *  than a boolean.
+     **/
+    function evaluate(node, data) {
+
+        var value;
+
+        switch (node.type) {
+
+        case "literal":
+            value = node.value;
+            break;
+
+        case "path":
+            value = util.Object.access(data, node.path);
+            break;
+
+        case "not":
+            value = !evaluate(node.operand, data);
+            break;
+
+        case "and":
+            value = evaluate(node.left, data) && evaluate(node.right, data);
+            break;
+
+        case "or":
+            value = evaluate(node.left, data) || evaluate(node.right, data);
+            break;
+
+        case "compare":
+
+            value = tests[node.operator](
+                evaluate(node.left, data),
+                evaluate(node.right, data)
+            );
+
+            break;
+
+        default:
+            throw new TypeError("Unrecognised expression type " + node.type);
+
+        }
+
+        return value;
+
+    }
+
+    /**
+     *  expression.compile(source) -> Function
+     *  - source (String): Expression to compile.
+     *
+     *  Parses the `source` once (see [[expression.parse]]) and returns a
+     *  function that evaluates it against the data it is given.
+     *
+     *      var isAdult = expression.compile("user.age >= 18");
+     *      isAdult({user: {age: 20}}); // -> true
+     *
+     **/
+    function compile(source) {
+        return util.Function.curry(evaluate, parse(source));
+    }
+
+    /**
+     *  expression.toSource(node[, isOptional]) -> String
+     *  - node (Object): Expression tree from [[expression.parse]].
+     *  - isOptional (Boolean): `true` if every data path may be missing.
+     *
+     *  Converts the expression tree into JavaScript source code for a compiled
+     *  template. Data paths are read from the template data (`d`) using the
+     *  template runtime (`r`), with `r.access` or, for optional paths,
+     *  `r.lookup` so that the `strict` option only reports the paths that
+     *  should be there.
+     *
+     *      expression.toSource(expression.parse("a > 1 && !?b"));
+     *      // -> "((r.access(d, \"a\") > 1) && !(r.lookup(d, \"b\")))"
+     *
+     **/
+    function toSource(node, isOptional) {
+
+        var source;
+
+        switch (node.type) {
+
+        case "literal":
+
+            source = node.value === undefined
+                ? "undefined"
+                : JSON.stringify(node.value);
+
+            break;
+
+        case "path":
+
+            source = (
+                (isOptional || node.isOptional)
+                    ? "r.lookup(d, "
+                    : "r.access(d, "
+            ) + JSON.stringify(node.path) + ")";
+
+            break;
+
+        case "not":
+            source = "!(" + toSource(node.operand, isOptional) + ")";
+            break;
+
+        case "and":
+
+            source = "(" + toSource(node.left, isOptional) + " && "
+                    + toSource(node.right, isOptional) + ")";
+
+            break;
+
+        case "or":
+
+            source = "(" + toSource(node.left, isOptional) + " || "
+                    + toSource(node.right, isOptional) + ")";
+
+            break;
+
+        case "compare":
+
+            source = "(" + toSource(node.left, isOptional) + " "
+                    + (operators[node.operator] || node.operator) + " "
+                    + toSource(node.right, isOptional) + ")";
+
+            break;
+
+        default:
+            throw new TypeError("Unrecognised expression type " + node.type);
+
+        }
+
+        return source;
+
+    }
+
+    /**
+     *  expression.getPaths(node) -> Array
+     *  - node (Object): Expression tree from [[expression.parse]].
+     *
+     *  Gets the data paths that the expression tree reads.
+     *
+     *      expression.getPaths(expression.parse("a > 1 && !b.c"));
+     *      // -> ["a", "b.c"]
+     *
+     **/
+    function getPaths(node) {
+
+        var found = [];
+
+        if (node.type === "path") {
+            found.push(node.path);
+        }
+
+        ["operand", "left", "right"].forEach(function (key) {
+
+            if (node[key]) {
+                found = found.concat(getPaths(node[key]));
+            }
+
+        });
+
+        return found;
+
+    }
+
+    util.Object.assign(expression, {
+        compile: compile,
+        evaluate: evaluate,
+        getPaths: getPaths,
+        parse: parse,
+        toSource: toSource
+    });
+
+    return Object.freeze(expression);
+
+});
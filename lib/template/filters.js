@@ -0,0 +1,194 @@
+define([
+    "lib/util",
+    "lib/template/expression"
+], function (
+    util,
+    expression
+) {
+
+    "use strict";
+
+    var filters = {};
+    var registry = {};
+
+    // Quoted strings are kept together so that they may contain "|" or ":".
+    const PIECES = /(["'`])[\s\S]*?\1|[|:]|[^|:"'`]+/g;
+
+    /**
+     *  filters.add(name, filter)
+     *  - name (String): Name of the filter.
+     *  - filter (Function): Function that performs the filtering.
+     *
+     *  Adds a filter that can be used in a template placeholder. The `filter`
+     *  is passed the value followed by any arguments given in the template and
+     *  should return the filtered value.
+     *
+     *      filters.add("percent", function (value, places) {
+     *          return (Number(value) * 100).toFixed(places || 0) + "%";
+     *      });
+     *      // "${ratio | percent}" renders "50%" for {ratio: 0.5}
+     *      // "${ratio | percent:1}" renders "50.0%" for {ratio: 0.5}
+     *
+     *  Be warned that no check is made to see whether the filter already
+     *  exists, allowing the built-in filters to be replaced. The built-in
+     *  filters are `camelise`, `clip`, `hyphenate`, `pad`, `upperFirst`,
+     *  `upper`, `lower`, `trim`, `default` and `currency`. The `currency`
+     *  filter takes an optional currency code (defaulting to `"GBP"`) and
+     *  locale.
+     *
+     *      // "${price | currency}" renders "£1.50" for {price: 1.5}
+     *      // "${price | currency:'USD':'en-US'}" renders "$1.50"
+     **/
+    function add(name, filter) {
+
+        if (typeof filter !== "function") {
+            throw new TypeError("Filter " + name + " must be a function");
+        }
+
+        registry[name] = filter;
+
+    }
+
+    /**
+     *  filters.get(name) -> Function|undefined
+     *  - name (String): Name of the filter.
+     *
+     *  Gets the named filter or `undefined` if the filter is not recognised.
+     **/
+    function get(name) {
+
+        return util.Object.owns(registry, name)
+            ? registry[name]
+            : undefined;
+
+    }
+
+    /**
+     *  filters.parse(source) -> Object
+     *  - source (String): Contents of a placeholder.
+     *
+     *  Separates the data path in a placeholder from the filters that should be
+     *  applied to it. Filters are separated by a pipe (`|`) and any arguments
+     *  are separated from the filter name with a colon (`:`). Arguments may be
+     *  literals or data paths (see [[expression.parse]]).
+     *
+     *      filters.parse("name | upper | clip:limit");
+     *      // -> {
+     *      //     path: "name",
+     *      //     pipeline: [
+     *      //         {name: "upper", args: []},
+     *      //         {name: "clip", args: [{type: "path", path: "limit"}]}
+     *      //     ]
+     *      // }
+     *
+     **/
+    function parse(source) {
+
+        var stages = [[""]];
+
+        util.String.interpret(source).replace(PIECES, function (piece) {
+
+            var stage = util.Array.last(stages);
+
+            if (piece === "|") {
+                stages.push([""]);
+            } else if (piece === ":") {
+                stage.push("");
+            } else {
+                stage[stage.length - 1] += piece;
+            }
+
+        });
+
+        return {
+            path: stages.shift()[0].trim(),
+            pipeline: stages.map(function (stage) {
+
+                return {
+                    name: stage.shift().trim(),
+                    args: stage.map(function (arg) {
+                        return expression.parse(arg);
+                    })
+                };
+
+            })
+        };
+
+    }
+
+    /**
+     *  filters.apply(value, pipeline, data) -> ?
+     *  - value (?): Value to filter.
+     *  - pipeline (Array): Filters from [[filters.parse]].
+     *  - data (Object): Data for any filter arguments.
+     *
+     *  Passes `value` through each of the filters in `pipeline`, returning the
+     *  result. A `ReferenceError` is thrown if a filter is not recognised.
+     **/
+    function apply(value, pipeline, data) {
+
+        return pipeline.reduce(function (filtered, stage) {
+
+            var filter = get(stage.name);
+
+            if (!filter) {
+                throw new ReferenceError("Unknown filter " + stage.name);
+            }
+
+            return filter(filtered, ...stage.args.map(function (arg) {
+                return expression.evaluate(arg, data);
+            }));
+
+        }, value);
+
+    }
+
+    util.Object.each({
+
+        camelise: util.String.camelise,
+        clip: util.String.clip,
+        hyphenate: util.String.hyphenate,
+        pad: util.String.pad,
+        upperFirst: util.String.toUpperFirst,
+
+        upper: function (value) {
+            return util.String.interpret(value).toUpperCase();
+        },
+
+        lower: function (value) {
+            return util.String.interpret(value).toLowerCase();
+        },
+
+        trim: function (value) {
+            return util.String.interpret(value).trim();
+        },
+
+        currency: function (value, code, locale) {
+
+            return new Intl.NumberFormat(locale, {
+                style: "currency",
+                currency: code || "GBP"
+            }).format(Number(value));
+
+        },
+
+        "default": function (value, fallback) {
+
+            return (value === undefined || value === null || value === "")
+                ? fallback
+                : value;
+
+        }
+
+    }, add);
+
+    util.Object.assign(filters, {
+        add: add,
+        apply: apply,
+        get: get,
+        parse: parse
+    });
+
+    return Object.freeze(filters);
+
+});
@@ -0,0 +1,253 @@
+define([
+    "lib/util"
+], function (
+    util
+) {
+
+    "use strict";
+
+    var i18n = {};
+    var catalogues = {};
+    var pluralRules = {};
+    var handlers = [];
+    var locale = "en";
+
+    // Gets the locale followed by the language that it belongs to, allowing
+    // "en-GB" to fall back to the messages for "en".
+    function getFallbacks(name) {
+
+        var language = name.split("-")[0];
+
+        return language === name
+            ? [name]
+            : [name, language];
+
+    }
+
+    /**
+     *  i18n.addMessages(name, messages)
+     *  - name (String): Locale that the messages are for, such as `"en-GB"`.
+     *  - messages (Object): Messages keyed by their identifier.
+     *
+     *  Adds messages to the catalogue for the given locale. Messages may
+     *  contain placeholders (see [[util.String.supplant]]) that are replaced
+     *  with the parameters given when they are translated. A message that
+     *  depends on a number can be an object keyed by the plural category (see
+     *  [[i18n.getPluralCategory]]).
+     *
+     *      i18n.addMessages("en", {
+     *          greeting: "Hello ${name}",
+     *          items: {
+     *              one: "${count} item",
+     *              other: "${count} items"
+     *          }
+     *      });
+     *
+     *  Messages are merged with any already added for the locale, replacing
+     *  messages with the same identifier.
+     **/
+    function addMessages(name, messages) {
+
+        if (!util.Object.owns(catalogues, name)) {
+            catalogues[name] = {};
+        }
+
+        util.Object.assign(catalogues[name], messages);
+
+    }
+
+    /**
+     *  i18n.addPluralRule(name, rule)
+     *  - name (String): Locale that the rule is for.
+     *  - rule (Function): Function returning the category for a number.
+     *
+     *  Sets the function that works out which plural category a number belongs
+     *  to in the given locale. Without a rule, `Intl.PluralRules` is used.
+     *
+     *      i18n.addPluralRule("fr", function (count) {
+     *          return count < 2
+     *              ? "one"
+     *              : "other";
+     *      });
+     *
+     **/
+    function addPluralRule(name, rule) {
+
+        if (typeof rule !== "function") {
+            throw new TypeError("Plural rule for " + name + " must be a function");
+        }
+
+        pluralRules[name] = rule;
+
+    }
+
+    /**
+     *  i18n.getPluralCategory(count[, name]) -> String
+     *  - count (Number): Number to categorise.
+     *  - name (String): Optional locale, defaulting to the active locale.
+     *
+     *  Gets the plural category (`"zero"`, `"one"`, `"two"`, `"few"`, `"many"`
+     *  or `"other"`) that `count` belongs to.
+     *
+     *      i18n.getPluralCategory(1, "en"); // -> "one"
+     *      i18n.getPluralCategory(5, "en"); // -> "other"
+     *
+     **/
+    function getPluralCategory(count, name) {
+
+        var fallbacks = getFallbacks(name || locale);
+        var rule = util.Object.owns(pluralRules, fallbacks[0])
+            ? pluralRules[fallbacks[0]]
+            : pluralRules[fallbacks[1]];
+        var category;
+
+        if (rule) {
+            category = rule(count);
+        } else if (typeof Intl === "object" && Intl.PluralRules) {
+            category = new Intl.PluralRules(fallbacks[0]).select(count);
+        } else {
+
+            category = count === 1
+                ? "one"
+                : "other";
+
+        }
+
+        return category;
+
+    }
+
+    /**
+     *  i18n.translate(key[, params]) -> String
+     *  - key (String): Identifier of the message.
+     *  - params (Object): Optional parameters for the message.
+     *
+     *  Translates the message into the active locale (see [[i18n.setLocale]]),
+     *  replacing any placeholders with `params`. If `params` has a `count`,
+     *  it is used to choose the plural form of the message.
+     *
+     *      i18n.translate("greeting", {name: "Alice"}); // -> "Hello Alice"
+     *      i18n.translate("items", {count: 3});         // -> "3 items"
+     *
+     *  Messages missing from the locale are looked for in its language (so
+     *  `"en-GB"` falls back to `"en"`). If the message still can't be found,
+     *  `key` is returned.
+     *
+     *  Placeholders in messages are always written as `${name}`, whatever the
+     *  delimiters of the template that translates them, so the same catalogue
+     *  can be shared by every template.
+     **/
+    function translate(key, params) {
+
+        var message = key;
+        var category;
+
+        getFallbacks(locale).some(function (name) {
+
+            var found = util.Object.owns(catalogues, name)
+                && util.Object.owns(catalogues[name], key);
+
+            if (found) {
+                message = catalogues[name][key];
+            }
+
+            return found;
+
+        });
+
+        params = params || {};
+
+        if (message !== null && typeof message === "object") {
+
+            category = getPluralCategory(Number(params.count));
+            message = util.Object.owns(message, category)
+                ? message[category]
+                : message.other;
+
+        }
+
+        return util.String.supplant(message, params);
+
+    }
+
+    /**
+     *  i18n.getLocale() -> String
+     *
+     *  Gets the active locale.
+     **/
+    function getLocale() {
+        return locale;
+    }
+
+    /**
+     *  i18n.setLocale(name)
+     *  - name (String): Locale to activate.
+     *
+     *  Changes the active locale and calls any handlers added with
+     *  [[i18n.subscribe]] so that templates can be re-rendered. Templates that
+     *  are bound to an element (see [[bind]]) are re-rendered automatically.
+     *
+     *      i18n.addMessages("fr", {greeting: "Bonjour ${name}"});
+     *      i18n.setLocale("fr");
+     *      i18n.translate("greeting", {name: "Alice"}); // -> "Bonjour Alice"
+     *
+     **/
+    function setLocale(name) {
+
+        if (name !== locale) {
+
+            locale = name;
+            handlers.slice().forEach(function (handler) {
+                handler(name);
+            });
+
+        }
+
+    }
+
+    /**
+     *  i18n.subscribe(handler)
+     *  - handler (Function): Function to call when the locale changes.
+     *
+     *  Adds a function that is passed the new locale whenever it changes.
+     **/
+    function subscribe(handler) {
+
+        if (typeof handler !== "function") {
+            throw new TypeError("Handler must be a function");
+        }
+
+        handlers.push(handler);
+
+    }
+
+    /**
+     *  i18n.unsubscribe(handler)
+     *  - handler (Function): Function to remove.
+     *
+     *  Removes a function added with [[i18n.subscribe]].
+     **/
+    function unsubscribe(handler) {
+
+        var index = handlers.indexOf(handler);
+
+        if (index > -1) {
+            handlers.splice(index, 1);
+        }
+
+    }
+
+    util.Object.assign(i18n, {
+        addMessages: addMessages,
+        addPluralRule: addPluralRule,
+        getLocale: getLocale,
+        getPluralCategory: getPluralCategory,
+        setLocale: setLocale,
+        subscribe: subscribe,
+        translate: translate,
+        unsubscribe: unsubscribe
+    });
+
+    return Object.freeze(i18n);
+
+});
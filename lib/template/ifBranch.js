@@ -1,126 +1,126 @@
 define([
     "lib/util",
-    "lib/template/baseBranch"
+    "lib/template/baseBranch",
+    "lib/template/expression",
+    "lib/template/paths"
 ], function (
     util,
-    makeBaseBranch
+    makeBaseBranch,
+    expression,
+    paths
 ) {
 
     "use strict";
 
-    var tests = {
+    function parseCondition(tag) {
 
-        "<": function (data, value) {
-            return data < value;
-        },
+        if (!tag.args.trim()) {
+            throw new SyntaxError("Expecting a condition in " + tag.source);
+        }
 
-        ">": function (data, value) {
-            return data > value;
-        },
+        return expression.parse(tag.args.trim());
 
-        "<=": function (data, value) {
-            return data <= value;
-        },
+    }
 
-        ">=": function (data, value) {
-            return data >= value;
-        },
+    return function (tag) {
 
-        "!==": function (data, value) {
-            return data !== value;
-        },
+        var baseBranch = makeBaseBranch();
+        // Each section is the "if" followed by any "elseif" or "else".
+        var sections = [{
+            type: "if",
+            condition: parseCondition(tag),
+            branches: baseBranch.branches
+        }];
 
-        "===": function (data, value) {
-            return data === value;
-        },
+        return util.Object.assign({}, baseBranch, {
 
-        // The regular expression can't match this but will need it.
-        truthy: function (data) {
-            return !!data;
-        }
+            type: "if",
+            sections: sections,
 
-    };
-    // Basic aliases.
-    tests["!="] = tests["!=="];
-    tests["=="] = tests["==="];
+            addBranch: function (branch) {
+                util.Array.last(sections).branches.push(branch);
+            },
 
-    function decode(value) {
+            addSection: function (type, tag) {
 
-        var parts;
+                var last = util.Array.last(sections);
 
-        switch (value) {
+                if (last.type === "else") {
 
-        case undefined:
-            value = "";
-            break;
+                    throw new SyntaxError(
+                        "Unexpected " + type + " after else"
+                    );
 
-        case "null":
-            value = null;
-            break;
+                }
 
-        case "undefined":
-            value = undefined;
-            break;
+                if (type === "else" && tag.args.trim()) {
 
-        case "false":
-        case "true":
-            value = value === "true";
-            break;
+                    throw new SyntaxError(
+                        "Unexpected arguments in " + tag.source
+                    );
 
-        default:
+                }
 
-            parts = value.match(/^(["'`])?([\s\S]+)?\1$/);
+                sections.push({
+                    type: type,
+                    condition: type === "else"
+                        ? undefined
+                        : parseCondition(tag),
+                    branches: []
+                });
 
-            if (typeof parts[1] === "string") {
-                value = parts[2];
-            } else if (util.Number.isNumeric(value)) {
-                value = +value;
-            } else {
+            },
 
-                value = util.Function.curry(
-                    util.Object.access,
-                    undefined,
-                    value
-                );
+            getReferences: function () {
 
-            }
+                var found = [];
 
-        }
+                sections.forEach(function (section) {
 
-        return value;
+                    if (section.condition) {
 
-    }
+                        found = found.concat(
+                            expression.getPaths(section.condition).map(
+                                util.Function.curry(paths.reference, "condition")
+                            )
+                        );
 
-    return function (condition) {
+                    }
 
-        var parts = condition.match(/\${#if\s+(!)?([\S]+)(\s*([<>!=]{1,3})\s*([\S]+))?\}/);
-        var negation = parts[1];
-        var propertyPath = parts[2];
-        var test = parts[4] || "truthy";
-        var value = decode(parts[5]);
-        var baseBranch = makeBaseBranch();
+                    found = found.concat(
+                        ...util.Array.invoke(section.branches, "getReferences")
+                    );
 
-        return util.Object.assign({}, baseBranch, {
+                });
 
-            type: "if",
+                return found;
+
+            },
+
+            compile: function () {
+
+                // With an "else", the conditions may read missing data.
+                var isOptional = sections.some(function (section) {
+                    return section.type === "else";
+                });
+
+                return sections.map(function (section) {
+
+                    var code = util.Array.invoke(
+                        section.branches,
+                        "compile"
+                    ).join("");
+
+                    return section.condition
+                        ? "if ("
+                                + expression.toSource(
+                                    section.condition,
+                                    isOptional
+                                )
+                                + ") {\n" + code + "}"
+                        : "{\n" + code + "}";
 
-            render: function (data) {
-
-                var property = util.Object.access(data, propertyPath);
-                var shouldRender = typeof tests[test] === "function"
-                    ? tests[test](
-                        negation === "!"
-                            ? !property
-                            : property,
-                        typeof value === "function"
-                            ? value(data)
-                            : value
-                    )
-                    : true;
-
-                return shouldRender
-                    ? baseBranch.render(data)
-                    : "";
+                }).join(" else ") + "\n";
 
             }
 
@@ -0,0 +1,88 @@
+define([
+    "lib/util",
+    "lib/template/baseBranch",
+    "lib/template/partials",
+    "lib/template/paths"
+], function (
+    util,
+    makeBaseBranch,
+    partials,
+    paths
+) {
+
+    "use strict";
+
+    // Names of the partials whose paths are being found, preventing a partial
+    // that includes itself from looping forever.
+    var finding = [];
+
+    return function (tag) {
+
+        var parts = tag.args.match(/^(\S+)(?:\s+with\s+(\S+))?$/);
+        var name;
+        var dataPath;
+        var includeBranch;
+
+        if (!parts) {
+            throw new SyntaxError("Expecting a partial name in " + tag.source);
+        }
+
+        name = parts[1];
+        dataPath = parts[2];
+
+        includeBranch = util.Object.assign({}, makeBaseBranch(), {
+
+            type: "include",
+            // Includes have no content so they are never left open.
+            isVoid: true,
+            name: name,
+            dataPath: dataPath,
+
+            getReferences: function () {
+
+                var partial = partials.get(name);
+                var found = [];
+
+                if (
+                    partial
+                    && typeof partial.getReferences === "function"
+                    && finding.indexOf(name) < 0
+                ) {
+
+                    finding.push(name);
+                    found = (partial.getReferences() || []).map(function (ref) {
+
+                        return paths.reference(ref.kind, (
+                            !dataPath || ref.path.charAt(0) === "["
+                        )
+                            ? (dataPath || "") + ref.path
+                            : dataPath + "." + ref.path);
+
+                    });
+                    finding.pop();
+
+                }
+
+                return dataPath
+                    ? [paths.reference("partial", dataPath)].concat(found)
+                    : found;
+
+            },
+
+            compile: function () {
+
+                return "out += r.include(" + JSON.stringify(name) + ", " + (
+                    dataPath
+                        ? "r.access(d, " + JSON.stringify(dataPath) + ")"
+                        : "d"
+                ) + ");\n";
+
+            }
+
+        });
+
+        return Object.freeze(includeBranch);
+
+    };
+
+});
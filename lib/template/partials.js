@@ -0,0 +1,67 @@
+define([
+    "lib/util"
+], function (
+    util
+) {
+
+    "use strict";
+
+    var partials = {};
+    var registry = {};
+
+    /**
+     *  partials.add(name, template)
+     *  - name (String): Name of the partial.
+     *  - template (Object): Template to use as the partial.
+     *
+     *  Adds a template that can be included within other templates using
+     *  `${#include name}` or `${#partial name with data.path}`. The template
+     *  only needs a `render` method.
+     *
+     *      partials.add("item", template("<li>${name}</li>"));
+     *
+     *  Adding a partial with an existing name replaces the previous partial.
+     **/
+    function add(name, template) {
+
+        if (!template || typeof template.render !== "function") {
+            throw new TypeError("Partial " + name + " must have a render method");
+        }
+
+        registry[name] = template;
+
+    }
+
+    /**
+     *  partials.get(name) -> Object|undefined
+     *  - name (String): Name of the partial.
+     *
+     *  Gets the named partial or `undefined` if the partial is not recognised.
+     **/
+    function get(name) {
+
+        return util.Object.owns(registry, name)
+            ? registry[name]
+            : undefined;
+
+    }
+
+    /**
+     *  partials.remove(name)
+     *  - name (String): Name of the partial.
+     *
+     *  Removes the named partial.
+     **/
+    function remove(name) {
+        delete registry[name];
+    }
+
+    util.Object.assign(partials, {
+        add: add,
+        get: get,
+        remove: remove
+    });
+
+    return Object.freeze(partials);
+
+});
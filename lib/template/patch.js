@@ -0,0 +1,277 @@
+/*jslint browser */
+define([
+    "lib/util",
+    "lib/template/runtime"
+], function (
+    util,
+    runtime
+) {
+
+    "use strict";
+
+    var patch = {};
+
+    const ELEMENT_NODE = 1;
+    const SHOW_COMMENT = 128;
+
+    function getKey(node) {
+
+        return node.nodeType === ELEMENT_NODE
+            ? node.getAttribute(runtime.KEY_ATTRIBUTE)
+            : null;
+
+    }
+
+    function isSameKind(target, source) {
+
+        return (
+            target.nodeType === source.nodeType
+            && target.nodeName === source.nodeName
+            && getKey(target) === getKey(source)
+        );
+
+    }
+
+    // Finds the keyed node at or after the cursor and before the end.
+    function findKeyed(cursor, source, end) {
+
+        while (cursor && cursor !== end && !isSameKind(cursor, source)) {
+            cursor = cursor.nextSibling;
+        }
+
+        return cursor !== end
+            ? cursor
+            : null;
+
+    }
+
+    function patchAttributes(target, source) {
+
+        util.Array.forEach(source.attributes, function (attribute) {
+
+            var name = attribute.name;
+            var value = attribute.value;
+
+            if (target.getAttribute(name) !== value) {
+
+                target.setAttribute(name, value);
+
+                // Attributes only set the default state of form controls.
+                // The value is only set if it differs so that the caret of a
+                // control that the user is typing in doesn't jump.
+                if (name === "value" && target.value !== value) {
+                    target.value = value;
+                } else if (name === "checked" || name === "selected") {
+                    target[name] = true;
+                }
+
+            }
+
+        });
+
+        util.Array.from(target.attributes).forEach(function (attribute) {
+
+            var name = attribute.name;
+
+            if (!source.hasAttribute(name)) {
+
+                target.removeAttribute(name);
+
+                if (name === "checked" || name === "selected") {
+                    target[name] = false;
+                }
+
+            }
+
+        });
+
+    }
+
+    function patchNode(target, source) {
+
+        var hasChanged;
+
+        if (target.nodeType !== ELEMENT_NODE) {
+
+            if (target.nodeValue !== source.nodeValue) {
+                target.nodeValue = source.nodeValue;
+            }
+
+        } else {
+
+            hasChanged = target.nodeName === "TEXTAREA"
+                    && target.defaultValue !== source.defaultValue;
+
+            patchAttributes(target, source);
+            patchChildren(target, source);
+
+            if (hasChanged) {
+                target.value = source.defaultValue;
+            }
+
+        }
+
+    }
+
+    // Patches the children of the target between the start and end nodes,
+    // or all of them if they aren't given.
+    function patchChildren(target, source, start, end) {
+
+        var cursor = start
+            ? start.nextSibling
+            : target.firstChild;
+        var next;
+
+        util.Array.from(source.childNodes).forEach(function (child) {
+
+            var match = getKey(child) === null
+                ? (
+                    cursor
+                    && cursor !== end
+                    && isSameKind(cursor, child)
+                    && cursor
+                )
+                : findKeyed(cursor, child, end);
+
+            if (!match) {
+                target.insertBefore(child, cursor);
+            } else {
+
+                if (match === cursor) {
+                    cursor = cursor.nextSibling;
+                } else {
+                    target.insertBefore(match, cursor);
+                }
+
+                patchNode(match, child);
+
+            }
+
+        });
+
+        while (cursor && cursor !== end) {
+
+            next = cursor.nextSibling;
+            target.removeChild(cursor);
+            cursor = next;
+
+        }
+
+    }
+
+    /**
+     *  patch.toFragment(html[, doc = document]) -> DocumentFragment
+     *  - html (String): Markup to convert.
+     *  - doc (Document): Optional document to create the nodes in.
+     *
+     *  Converts the given `html` into a `DocumentFragment`. Unlike
+     *  [[dom.toHtml]], any markup (including plain text) may be converted.
+     *
+     *      patch.toFragment("<li>a</li><li>b</li>");
+     *      // -> DocumentFragment[<li>a</li><li>b</li>]
+     *
+     **/
+    function toFragment(html, doc) {
+
+        var wrapper = (doc || document).createElement("template");
+
+        wrapper.innerHTML = util.String.interpret(html);
+
+        return wrapper.content;
+
+    }
+
+    /**
+     *  patch.patch(element, html) -> Element
+     *  - element (Element): Element whose contents should be updated.
+     *  - html (String): Markup that the contents should match.
+     *
+     *  Updates the contents of `element` so that they match `html`, changing
+     *  as few nodes as possible. Existing nodes are updated rather than
+     *  replaced, which keeps focus, scroll positions and event listeners
+     *  intact.
+     *
+     *      element.innerHTML = "<p class=\"one\">a</p>";
+     *      var paragraph = element.firstChild;
+     *      patch.patch(element, "<p class=\"two\">b</p>");
+     *      element.firstChild === paragraph; // -> true
+     *
+     *  Elements with a [[runtime.KEY_ATTRIBUTE]] attribute (added by
+     *  `${#each items as item key=id}`) are matched by their key, so list
+     *  items are moved rather than re-created when the list is re-ordered.
+     **/
+    function patchElement(element, html) {
+
+        patchChildren(element, toFragment(html, element.ownerDocument));
+
+        return element;
+
+    }
+
+    // Finds the comments that mark the start and end of a part.
+    function findPart(element, id) {
+
+        var walker = element.ownerDocument.createTreeWalker(
+            element,
+            SHOW_COMMENT
+        );
+        var marker = runtime.PART_MARKER + " " + id;
+        var found = {};
+        var node = walker.nextNode();
+
+        while (node && !found.end) {
+
+            if (node.nodeValue === marker) {
+                found.start = node;
+            } else if (node.nodeValue === "/" + marker) {
+                found.end = node;
+            }
+
+            node = walker.nextNode();
+
+        }
+
+        return found;
+
+    }
+
+    /**
+     *  patch.patchPart(element, id, html) -> Boolean
+     *  - element (Element): Element that the template was rendered into.
+     *  - id (Number): Identifier of the part.
+     *  - html (String): Markup that the part should match.
+     *
+     *  Updates a single part of a template that was rendered into `element`
+     *  (see [[runtime.create]]) in the same way as [[patch.patch]]. Returns
+     *  `false` if the part can't be found, such as when its markers aren't
+     *  siblings, in which case nothing is changed.
+     **/
+    function patchPart(element, id, html) {
+
+        var found = findPart(element, id);
+        var parent = found.start && found.start.parentNode;
+
+        if (!found.end || parent !== found.end.parentNode) {
+            return false;
+        }
+
+        patchChildren(
+            parent,
+            toFragment(html, element.ownerDocument),
+            found.start,
+            found.end
+        );
+
+        return true;
+
+    }
+
+    util.Object.assign(patch, {
+        patch: patchElement,
+        patchPart: patchPart,
+        toFragment: toFragment
+    });
+
+    return Object.freeze(patch);
+
+});
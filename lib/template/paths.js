@@ -0,0 +1,117 @@
+define([
+    "lib/util"
+], function (
+    util
+) {
+
+    "use strict";
+
+    // Helpers for the data paths that templates reference. Entries within a
+    // collection are written with empty brackets, so "items[].name" is the
+    // name of every entry in "items".
+    var paths = {};
+
+    /**
+     *  paths.toSegments(path) -> Array
+     *  - path (String): Path to split.
+     *
+     *  Splits the `path` into its segments. Array indices are converted into
+     *  empty brackets so that they match any entry of the collection.
+     *
+     *      paths.toSegments("items[2].name"); // -> ["items", "[]", "name"]
+     *      paths.toSegments("items[].name");  // -> ["items", "[]", "name"]
+     *
+     **/
+    function toSegments(path) {
+
+        var segments = util.String.interpret(path).match(/\[\]|[^.\[\]"']+/g);
+
+        return (segments || []).map(function (segment) {
+
+            return (/^\d+$/).test(segment)
+                ? "[]"
+                : segment;
+
+        });
+
+    }
+
+    /**
+     *  paths.resolve(path, name, replacement) -> String
+     *  - path (String): Path to resolve.
+     *  - name (String): Variable name to replace.
+     *  - replacement (String): Path that the variable refers to.
+     *
+     *  Replaces the variable `name` at the start of `path`, returning `path`
+     *  unchanged if it does not start with the variable.
+     *
+     *      paths.resolve("item.name", "item", "items[]"); // -> "items[].name"
+     *      paths.resolve("title", "item", "items[]");     // -> "title"
+     *
+     **/
+    function resolve(path, name, replacement) {
+
+        return toSegments(path)[0] === name
+            ? replacement + path.slice(name.length)
+            : path;
+
+    }
+
+    /**
+     *  paths.overlaps(one, two) -> Boolean
+     *  - one (String): Path to compare.
+     *  - two (String): Path to compare.
+     *
+     *  Checks to see whether a change to one path would affect the other. This
+     *  is the case when the paths are the same or one contains the other.
+     *
+     *      paths.overlaps("user", "user.name");          // -> true
+     *      paths.overlaps("items[1].name", "items[]");  // -> true
+     *      paths.overlaps("user.name", "user.age");      // -> false
+     *
+     **/
+    function overlaps(one, two) {
+
+        var first = toSegments(one);
+        var second = toSegments(two);
+
+        return first
+            .slice(0, Math.min(first.length, second.length))
+            .every(function (segment, i) {
+                return segment === second[i];
+            });
+
+    }
+
+    /**
+     *  paths.reference(kind, path) -> Object
+     *  - kind (String): How the path is used.
+     *  - path (String): Data path.
+     *
+     *  Creates a reference to a data path from a template. The `kind` is one
+     *  of `"placeholder"`, `"condition"`, `"collection"`, `"key"` (the key of
+     *  an `${#each}` entry), `"block"` or `"partial"`.
+     *
+     *      paths.reference("collection", "items");
+     *      // -> {kind: "collection", path: "items"}
+     *
+     **/
+    function reference(kind, path) {
+
+        return {
+            kind: kind,
+            path: path
+        };
+
+    }
+
+    util.Object.assign(paths, {
+        overlaps: overlaps,
+        reference: reference,
+        resolve: resolve,
+        toSegments: toSegments
+    });
+
+    return Object.freeze(paths);
+
+});
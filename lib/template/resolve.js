@@ -0,0 +1,177 @@
+define([
+    "lib/util",
+    "lib/template/paths",
+    "lib/template/runtime"
+], function (
+    util,
+    paths,
+    runtime
+) {
+
+    "use strict";
+
+    // Only arrays and plain objects are looked inside since other objects
+    // would lose their prototype when copied.
+    function isCopyable(value) {
+        return Array.isArray(value) || util.Object.isPlainObject(value);
+    }
+
+    // Copies an object or array so that one of its entries can be replaced
+    // without changing the original data.
+    function copy(value) {
+
+        return Array.isArray(value)
+            ? value.slice()
+            : util.Object.assign({}, value);
+
+    }
+
+    // Resolves the promises along the path described by `segments`. The value
+    // at the end of an "await" path is left as a promise for the ${#await}
+    // block but isn't resolved until it has settled.
+    function resolvePath(value, segments, isAwait) {
+
+        var segment = segments[0];
+        var rest = segments.slice(1);
+
+        if (!segments.length) {
+
+            return (isAwait && runtime.isThenable(value))
+                ? runtime.track(value).settled
+                : Promise.resolve(value);
+
+        }
+
+        return Promise.resolve(value).then(function (resolved) {
+
+            var copied;
+
+            // Keeps the ${#await} promise rather than its (empty) result.
+            function replace(key, entryValue) {
+
+                if (!isAwait || rest.length) {
+                    copied[key] = entryValue;
+                }
+
+            }
+
+            if (!isCopyable(resolved)) {
+                return resolved;
+            }
+
+            copied = copy(resolved);
+
+            return (
+                segment === "[]"
+                    ? Promise.all(Object.keys(resolved).map(function (key) {
+
+                        return resolvePath(resolved[key], rest, isAwait).then(
+                            util.Function.curry(replace, key)
+                        );
+
+                    }))
+                    : resolvePath(resolved[segment], rest, isAwait).then(
+                        function (entryValue) {
+
+                            if (util.Object.owns(resolved, segment)) {
+                                replace(segment, entryValue);
+                            }
+
+                        }
+                    )
+            ).then(function () {
+                return copied;
+            });
+
+        });
+
+    }
+
+    // Resolves every promise within the value.
+    function resolveAll(value) {
+
+        return Promise.resolve(value).then(function (resolved) {
+
+            var copied;
+
+            if (!isCopyable(resolved)) {
+                return resolved;
+            }
+
+            copied = copy(resolved);
+
+            return Promise.all(Object.keys(resolved).map(function (key) {
+
+                return resolveAll(resolved[key]).then(function (entryValue) {
+                    copied[key] = entryValue;
+                });
+
+            })).then(function () {
+                return copied;
+            });
+
+        });
+
+    }
+
+    /**
+     *  resolve(data[, references]) -> Promise
+     *  - data (?): Data that may contain promises.
+     *  - references (Array): Optional references from a template's
+     *    `getReferences`.
+     *
+     *  Resolves the promises within `data`, resolving with a copy of the data
+     *  where the promises have been replaced by their values. The original
+     *  `data` is not changed.
+     *
+     *      resolve({user: Promise.resolve({name: "a"})}, [
+     *          {kind: "placeholder", path: "user.name"}
+     *      ]);
+     *      // -> Promise resolving to {user: {name: "a"}}
+     *
+     *  If `references` are given, only the promises along the referenced paths
+     *  are resolved. The values of `${#await}` blocks are left as promises so
+     *  that the block can show the `${#then}` or `${#catch}` section, but they
+     *  are waited for and any references within them aren't resolved. A
+     *  rejected promise rejects the returned promise.
+     **/
+    return function resolve(data, references) {
+
+        var awaited;
+
+        if (!references) {
+            return resolveAll(data);
+        }
+
+        awaited = references.filter(function (reference) {
+            return reference.kind === "await";
+        });
+
+        return references.filter(function (reference) {
+
+            // Values within an ${#await} are handled by the block.
+            return reference.kind === "await" || !awaited.some(function (ref) {
+
+                return paths.overlaps(ref.path, reference.path)
+                    && paths.toSegments(reference.path).length
+                    > paths.toSegments(ref.path).length;
+
+            });
+
+        }).reduce(function (promise, reference) {
+
+            return promise.then(function (resolved) {
+
+                return resolvePath(
+                    resolved,
+                    paths.toSegments(reference.path),
+                    reference.kind === "await"
+                );
+
+            });
+
+        }, Promise.resolve(data));
+
+    };
+
+});
@@ -0,0 +1,541 @@
+define([
+    "lib/util",
+    "lib/template/escape",
+    "lib/template/filters",
+    "lib/template/partials",
+    "lib/template/blocks",
+    "lib/template/i18n",
+    "lib/errors"
+], function (
+    util,
+    escape,
+    filters,
+    partials,
+    blocks,
+    i18n,
+    errors
+) {
+
+    "use strict";
+
+    // The functions that compiled templates call. Compiled templates are
+    // passed this object as "r" and their data as "d".
+    var runtime = {};
+
+    /**
+     *  runtime.KEY_ATTRIBUTE = "data-template-key"
+     *
+     *  Attribute that identifies the keyed items of an `${#each}` loop.
+     **/
+    const KEY_ATTRIBUTE = "data-template-key";
+
+    /**
+     *  runtime.PART_MARKER = "template-part"
+     *
+     *  Text of the comments that mark where each part of a template starts
+     *  and ends (see [[runtime.create]]).
+     **/
+    const PART_MARKER = "template-part";
+
+    // The state of each promise that a template has waited for.
+    var states = new WeakMap();
+
+    function pair(collection) {
+
+        var pairs = [];
+
+        if (util.Array.isArrayLike(collection)) {
+
+            pairs = util.Array.map(collection, function (value, key) {
+
+                return {
+                    key: key,
+                    value: value
+                };
+
+            });
+
+        } else if (collection !== null && collection !== undefined) {
+            pairs = util.Object.pair(collection);
+        }
+
+        return pairs;
+
+    }
+
+    function isOutputtable(value) {
+        return typeof value === "boolean" || util.String.isStringy(value);
+    }
+
+    /**
+     *  runtime.output(value, whole, isRaw, context[, path]) -> String
+     *  - value (?): Value of the placeholder, after any filters.
+     *  - whole (String): Placeholder as it appears in the template.
+     *  - isRaw (Boolean): `true` if the value should not be escaped.
+     *  - context (String): Context of the placeholder (see [[escape.escape]]).
+     *  - path (String): Optional data path of the placeholder.
+     *
+     *  Converts the value of a placeholder into the string to output. Booleans
+     *  are output as `"true"` or `"false"`. If the `value` is not a boolean
+     *  and not stringy (see [[util.String.isStringy]]) then the placeholder is
+     *  left in place. The `path` is only used by the `strict` option (see
+     *  [[runtime.create]]).
+     **/
+    function output(value, whole, isRaw, context) {
+
+        return !isOutputtable(value)
+            ? whole
+            : isRaw
+                ? util.String.interpret(value)
+                : escape.escape(value, context);
+
+    }
+
+    // Adds the key of a list item to the first element in its markup so that
+    // the item can be found when the DOM is patched.
+    function addKey(markup, key) {
+
+        return markup.replace(
+            /^(\s*<[a-z][^\s\/>]*)/i,
+            "$1 " + KEY_ATTRIBUTE + "=\"" + escape.attribute(key) + "\""
+        );
+
+    }
+
+    /**
+     *  runtime.each(collection, data, names, content[, empty]) -> String
+     *  - collection (Array|Object): Collection to loop over.
+     *  - data (Object): Data for the current scope.
+     *  - names (Object): Names for the loop.
+     *  - content (Function): Renders the content of the loop.
+     *  - empty (Function): Optional render for an empty collection.
+     *
+     *  Renders `content` for each entry in `collection`. `content` is passed a
+     *  copy of `data` with the entry's value added to it as `names.value`. If
+     *  `names.index` is given, the entry's key is added as that name as well.
+     *  These loop variables are also added:
+     *
+     *  - `@index` the position of the entry, starting at 0.
+     *  - `@number` the position of the entry, starting at 1.
+     *  - `@key` the key of the entry (the same as `@index` for arrays).
+     *  - `@first` `true` for the first entry.
+     *  - `@last` `true` for the last entry.
+     *  - `@length` the number of entries.
+     *
+     *  If `names.key` is given, it is used as a path within each entry's value
+     *  to find a unique key for the entry. The key is added to the first
+     *  element of the entry's markup (as the [[runtime.KEY_ATTRIBUTE]]
+     *  attribute) so that the element can be kept when the DOM is patched.
+     *
+     *  If `collection` is missing or has no entries, `empty` is rendered with
+     *  `data` instead.
+     **/
+    function each(collection, data, names, content, empty) {
+
+        var entries = pair(collection);
+        var rendered = "";
+
+        if (entries.length) {
+
+            rendered = entries.map(function (entry, i) {
+
+                var scope = util.Object.assign({}, data, {
+                    "@index": i,
+                    "@number": i + 1,
+                    "@key": entry.key,
+                    "@first": i === 0,
+                    "@last": i === entries.length - 1,
+                    "@length": entries.length
+                });
+                var markup;
+
+                scope[names.value] = entry.value;
+
+                if (names.index) {
+                    scope[names.index] = entry.key;
+                }
+
+                markup = content(scope);
+
+                return names.key
+                    ? addKey(markup, util.Object.access(entry.value, names.key))
+                    : markup;
+
+            }).join("");
+
+        } else if (typeof empty === "function") {
+            rendered = empty(data);
+        }
+
+        return rendered;
+
+    }
+
+    /**
+     *  runtime.include(name, data) -> String
+     *  - name (String): Name of the partial.
+     *  - data (?): Data for the partial.
+     *
+     *  Renders the named partial (see [[partials.add]]). A `ReferenceError` is
+     *  thrown if the partial is not recognised.
+     **/
+    function include(name, data) {
+
+        var partial = partials.get(name);
+
+        if (!partial) {
+            throw new ReferenceError("Unknown partial " + name);
+        }
+
+        return partial.render(data);
+
+    }
+
+    /**
+     *  runtime.block(name, sections, data) -> String
+     *  - name (String): Name of the block.
+     *  - sections (Array): Sections of the block.
+     *  - data (Object): Data for the current scope.
+     *
+     *  Renders a block using its helper (see [[blocks.add]]). A
+     *  `ReferenceError` is thrown if the block is not recognised.
+     **/
+    function block(name, sections, data) {
+
+        var helper = blocks.get(name);
+
+        if (!helper) {
+            throw new ReferenceError("Unknown block " + name);
+        }
+
+        return util.String.interpret(helper(sections, data));
+
+    }
+
+    /**
+     *  runtime.translate(key, params) -> String
+     *  - key (String): Identifier of the message.
+     *  - params (Object): Parameters for the message.
+     *
+     *  Translates the message (see [[i18n.translate]]) and escapes it. Messages
+     *  are escaped as text, which is also safe within a quoted attribute.
+     **/
+    function translate(key, params) {
+        return escape.html(i18n.translate(key, params));
+    }
+
+    /**
+     *  runtime.isThenable(value) -> Boolean
+     *  - value (?): Value to test.
+     *
+     *  Checks to see whether the given `value` is a promise (or any object
+     *  with a `then` method).
+     **/
+    function isThenable(value) {
+
+        return (
+            value !== null
+            && (typeof value === "object" || typeof value === "function")
+            && typeof value.then === "function"
+        );
+
+    }
+
+    /**
+     *  runtime.track(promise) -> Object
+     *  - promise (Promise): Promise to track.
+     *
+     *  Starts recording the state of `promise`, returning an object with a
+     *  `status` (`"pending"`, `"fulfilled"` or `"rejected"`), the `value` or
+     *  reason once it has settled and a `settled` promise that resolves once
+     *  the state has been recorded. Tracking the same promise again returns
+     *  the same object.
+     **/
+    function track(promise) {
+
+        var state = states.get(promise);
+
+        if (!state) {
+
+            state = {
+                status: "pending"
+            };
+            state.settled = Promise.resolve(promise).then(function (value) {
+
+                state.status = "fulfilled";
+                state.value = value;
+
+            }, function (reason) {
+
+                state.status = "rejected";
+                state.value = reason;
+
+            });
+            states.set(promise, state);
+
+        }
+
+        return state;
+
+    }
+
+    /**
+     *  runtime.await(value, data, names, pending, then, fail) -> String
+     *  - value (?): Value that may be a promise.
+     *  - data (Object): Data for the current scope.
+     *  - names (Object): Names for the `then` value and the `catch` reason.
+     *  - pending (Function): Renders the content while `value` is pending.
+     *  - then (Function|null): Renders the content once `value` is fulfilled.
+     *  - fail (Function|null): Renders the content if `value` is rejected.
+     *
+     *  Renders an `${#await}` block based on the current state of `value` (see
+     *  [[runtime.track]]). Values that aren't promises are treated as if they
+     *  have been fulfilled. The fulfilled value is added to the scope as
+     *  `names.then` and the rejection reason as `names.catch`.
+     **/
+    function awaitValue(value, data, names, pending, then, fail) {
+
+        var state = isThenable(value)
+            ? track(value)
+            : {status: "fulfilled", value: value};
+        var render = pending;
+        var name;
+        var scope;
+
+        if (state.status === "fulfilled") {
+
+            render = then;
+            name = names.then;
+
+        } else if (state.status === "rejected") {
+
+            render = fail;
+            name = names["catch"];
+
+        }
+
+        scope = util.Object.assign({}, data);
+
+        if (name) {
+            scope[name] = state.value;
+        }
+
+        return typeof render === "function"
+            ? render(scope)
+            : "";
+
+    }
+
+    /**
+     *  runtime.part(id, render) -> String
+     *  - id (Number): Identifier of the part.
+     *  - render (Function): Renders the part.
+     *
+     *  Renders a part of a template. Parts are only marked when a template is
+     *  rendered into an element (see [[runtime.create]]).
+     **/
+    function part(ignore, render) {
+        return render();
+    }
+
+    /**
+     *  runtime.create([options[, marked]]) -> Object
+     *  - options (Object): Optional settings for a single render.
+     *  - marked (Object): Optional record of the parts that were rendered.
+     *
+     *  Creates a copy of the runtime for rendering a template once. These
+     *  `options` are understood:
+     *
+     *  - `strict` reports the data paths that could not be resolved once the
+     *    template has rendered. `true` throws a `ReferenceError` (with the
+     *    paths in its `paths` property) while the name of a level in
+     *    [[errors]] (such as `"warning"`) reports the paths at that level.
+     *    A placeholder is reported if its value, after any filters, can't be
+     *    output and there is no `fallback`. Conditions, collections and the
+     *    values of blocks are reported if they are `undefined`.
+     *  - `fallback` is output instead of placeholders whose value is not
+     *    stringy. Without it, the placeholder itself is left in place.
+     *
+     *  Data that is allowed to be missing can be marked in the template. The
+     *  conditions of an `${#if}` with an `${#else}`, the values of a block
+     *  with an `${#else}` and the collection of an `${#each}` with an
+     *  `${#empty}` aren't reported, and neither is any path in a condition,
+     *  collection or block value that starts with `?`.
+     *
+     *      ${#if ?user.isAdmin}Admin${#end if}
+     *
+     *
+     *  If `marked` is given, each part of the template (a placeholder, or a
+     *  branch at the top level of the template, in the text of an element) is
+     *  wrapped in `<!--template-part id-->` and `<!--/template-part id-->`
+     *  comments and its markup is added to the `rendered` object of `marked`
+     *  under its `id`. If `marked` has an `ids` array, only those parts are
+     *  rendered. This allows an element to be patched one part at a time.
+     *
+     *  The options are passed on to any partials that are included. The
+     *  returned object has a `finish` method which the template passes its
+     *  output to so that any unresolved paths can be reported and a `settle`
+     *  method which returns a promise that resolves once every pending promise
+     *  in an `${#await}` block has settled (or `undefined` if there were
+     *  none).
+     *
+     *      var r = runtime.create({strict: true});
+     *      r.finish(compiled({}, r));
+     *      // throws ReferenceError: Unresolved template paths: name
+     *
+     **/
+    function create(options, marked) {
+
+        var settings = util.Object.assign({}, options);
+        var missing = [];
+        var waiting = [];
+
+        function miss(path) {
+
+            if (missing.indexOf(path) < 0) {
+                missing.push(path);
+            }
+
+        }
+
+        if (
+            settings.strict
+            && settings.strict !== true
+            && typeof errors[settings.strict] !== "function"
+        ) {
+            throw new TypeError("Unknown strict level " + settings.strict);
+        }
+
+        return Object.freeze(util.Object.assign({}, runtime, {
+
+            access: function (data, path) {
+
+                var value = util.Object.access(data, path);
+
+                if (value === undefined) {
+                    miss(path);
+                }
+
+                return value;
+
+            },
+
+            include: function (name, data) {
+
+                var partial = partials.get(name);
+
+                if (!partial) {
+                    throw new ReferenceError("Unknown partial " + name);
+                }
+
+                return partial.render(data, options);
+
+            },
+
+            "await": function (value, data, names, pending, then, fail) {
+
+                if (isThenable(value) && track(value).status === "pending") {
+                    waiting.push(track(value).settled);
+                }
+
+                return awaitValue(value, data, names, pending, then, fail);
+
+            },
+
+            part: function (id, render) {
+
+                var html;
+
+                if (!marked) {
+                    return render();
+                }
+
+                if (marked.ids && marked.ids.indexOf(id) < 0) {
+                    return "";
+                }
+
+                html = render();
+                marked.rendered[id] = html;
+
+                return "<!--" + PART_MARKER + " " + id + "-->" + html
+                        + "<!--/" + PART_MARKER + " " + id + "-->";
+
+            },
+
+            settle: function () {
+
+                return waiting.length
+                    ? Promise.all(waiting)
+                    : undefined;
+
+            },
+
+            output: function (value, whole, isRaw, context, path) {
+
+                if (isOutputtable(value)) {
+                    return output(value, whole, isRaw, context);
+                }
+
+                if (settings.fallback !== undefined) {
+                    return output(settings.fallback, whole, isRaw, context);
+                }
+
+                if (path !== undefined) {
+                    miss(path);
+                }
+
+                return whole;
+
+            },
+
+            finish: function (rendered) {
+
+                var message = "Unresolved template paths: "
+                        + missing.join(", ");
+                var error;
+
+                if (settings.strict && missing.length) {
+
+                    if (settings.strict !== true) {
+                        errors[settings.strict](message);
+                    } else {
+
+                        error = new ReferenceError(message);
+                        error.paths = missing.concat();
+                        throw error;
+
+                    }
+
+                }
+
+                return rendered;
+
+            }
+
+        }));
+
+    }
+
+    util.Object.assign(runtime, {
+        KEY_ATTRIBUTE: KEY_ATTRIBUTE,
+        PART_MARKER: PART_MARKER,
+        "await": awaitValue,
+        access: util.Object.access,
+        // Reads data that the template allows to be missing. Unlike "access",
+        // it isn't checked by the "strict" option.
+        lookup: util.Object.access,
+        block: block,
+        create: create,
+        each: each,
+        filter: filters.apply,
+        include: include,
+        isThenable: isThenable,
+        output: output,
+        part: part,
+        track: track,
+        translate: translate
+    });
+
+    return Object.freeze(runtime);
+
+});
@@ -0,0 +1,82 @@
+define([
+    "lib/util"
+], function (
+    util
+) {
+
+    "use strict";
+
+    /**
+     *  makeSyntax([options]) -> Object
+     *  - options (Object): Optional delimiters.
+     *
+     *  Creates the patterns that a template uses to find its placeholders and
+     *  branches. `options` may have an `open` and a `close` delimiter, which
+     *  default to `"${"` and `"}"`.
+     *
+     *      var syntax = makeSyntax({open: "{{", close: "}}"});
+     *      // Placeholders are now {{name}} and {{{name}}} and branches are
+     *      // {{#if name}}...{{#end if}}.
+     *
+     *  The returned object has these properties:
+     *
+     *  - `open` and `close` the delimiters.
+     *  - `branch` matches any branch, with the character before it.
+     *  - `tag` matches the parts of a single branch (see [[template]]).
+     *  - `placeholder` matches a placeholder, including raw placeholders.
+     *
+     *  A `TypeError` is thrown if either delimiter is empty.
+     **/
+    return function makeSyntax(options) {
+
+        var settings = util.Object.assign({
+            open: "${",
+            close: "}"
+        }, options);
+        var open;
+        var close;
+        // Anything up to the closing delimiter.
+        var inside;
+
+        ["open", "close"].forEach(function (name) {
+
+            if (typeof settings[name] !== "string" || !settings[name]) {
+
+                throw new TypeError(
+                    "The " + name + " delimiter must be a non-empty string"
+                );
+
+            }
+
+        });
+
+        open = util.RegExp.escape(settings.open);
+        close = util.RegExp.escape(settings.close);
+        inside = "(?:(?!" + close + ")[\\s\\S])";
+
+        return Object.freeze({
+
+            open: settings.open,
+            close: settings.close,
+
+            branch: new RegExp(
+                "(^|.|\\r|\\n)" + open + "#" + inside + "+" + close
+            ),
+
+            // A "-" on either side of a branch trims the whitespace on that
+            // side and a "!" instead of the branch type marks a comment.
+            tag: new RegExp(
+                "(^|.|\\r|\\n)" + open + "#(-?)(!" + inside + "*?|\\w+)"
+                + "(?:\\s+(" + inside + "*?))?\\s*(-?)" + close + "$"
+            ),
+
+            // Matches both ${path} and the raw (unescaped) ${{path}}.
+            placeholder: new RegExp(
+                "(^|.|\\r|\\n)(" + open + "(\\{(.*?)\\}|.*?)" + close + ")"
+            )
+
+        });
+
+    };
+
+});
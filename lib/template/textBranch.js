@@ -1,19 +1,182 @@
 define([
-    "lib/util"
+    "lib/util",
+    "lib/template/escape",
+    "lib/template/filters",
+    "lib/template/expression",
+    "lib/template/paths"
 ], function (
-    util
+    util,
+    escape,
+    filters,
+    expression,
+    paths
 ) {
 
     "use strict";
 
-    return function (text) {
+    function makeToken(part, markup, placeholder) {
+
+        var matches = part.match(placeholder);
+        var isRaw = matches[4] !== undefined;
+        var parsed = filters.parse(
+            isRaw
+                ? matches[4]
+                : matches[3]
+        );
+
+        return {
+            prefix: matches[1],
+            whole: matches[2],
+            path: parsed.path,
+            pipeline: parsed.pipeline,
+            isRaw: isRaw,
+            context: escape.getContext(markup + matches[1]),
+            isInText: escape.isInText(markup + matches[1])
+        };
+
+    }
+
+    function getTokenReferences(token) {
+
+        var found = [token.path];
+
+        token.pipeline.forEach(function (stage) {
+            stage.args.forEach(function (arg) {
+                found = found.concat(expression.getPaths(arg));
+            });
+        });
+
+        return found.map(util.Function.curry(paths.reference, "placeholder"));
+
+    }
+
+    return function (text, preceding, syntax) {
+
+        var markup = util.String.interpret(preceding);
+        var start = markup.length;
+        var tokens = util.String.tokenise(
+            text,
+            syntax.placeholder
+        ).map(function (part, i) {
+
+            var token;
+
+            // Even entries are plain text, odd entries are placeholders.
+            if (i % 2 === 0) {
+                token = part;
+            } else {
+
+                try {
+                    token = makeToken(part, markup, syntax.placeholder);
+                } catch (error) {
+
+                    // Allows the template to report where the error is.
+                    error.offset = markup.length - start
+                            + part.indexOf(syntax.open);
+                    throw error;
+
+                }
+
+                if (token.prefix === "\\") {
+                    token = token.whole;
+                }
+
+            }
+
+            // Placeholders are filled in so that any quotes within them
+            // aren't mistaken for the markup's own, keeping their length so
+            // that errors can still be found.
+            markup += typeof token === "string"
+                ? part
+                : token.prefix + token.whole.replace(/[\s\S]/g, "x");
+
+            return token;
+
+        });
 
         var textBranch = {
 
             type: "text",
 
-            render: function (data) {
-                return util.String.supplant(text, data);
+            getReferences: function () {
+
+                return [].concat(...tokens.filter(function (token) {
+                    return typeof token !== "string";
+                }).map(getTokenReferences));
+
+            },
+
+            // At the top level of a template, the "collector" is given so
+            // that placeholders in the text of an element can be rendered on
+            // their own (see [[runtime.create]]).
+            compile: function (collector) {
+
+                var parts = [];
+
+                tokens.forEach(function (token) {
+
+                    var value;
+                    var code;
+                    var getReferences;
+
+                    if (typeof token === "string") {
+                        parts.push(token);
+                    } else {
+
+                        // The placeholder is only reported as missing by the
+                        // "strict" option if nothing can be output.
+                        value = "r.lookup(d, " + JSON.stringify(token.path)
+                                + ")";
+
+                        if (token.pipeline.length) {
+
+                            value = "r.filter(" + value + ", "
+                                    + JSON.stringify(token.pipeline) + ", d)";
+
+                        }
+
+                        code = "r.output(" + value + ", "
+                                + JSON.stringify(token.whole) + ", "
+                                + token.isRaw + ", "
+                                + JSON.stringify(token.context) + ", "
+                                + JSON.stringify(token.path) + ")";
+                        getReferences = util.Function.curry(
+                            getTokenReferences,
+                            token
+                        );
+
+                        if (collector && token.isInText) {
+
+                            code = "r.part(" + collector.add(getReferences)
+                                    + ", function () {\nreturn " + code
+                                    + ";\n})";
+
+                        } else if (collector) {
+                            collector.addOther(getReferences);
+                        }
+
+                        parts.push(token.prefix, {
+                            code: code
+                        });
+
+                    }
+
+                });
+
+                parts = parts.filter(util.Function.identity).map(
+                    function (part) {
+
+                        return typeof part === "string"
+                            ? JSON.stringify(part)
+                            : part.code;
+
+                    }
+                );
+
+                return parts.length
+                    ? "out += " + parts.join("\n        + ") + ";\n"
+                    : "";
+
             }
 
         };
@@ -0,0 +1,67 @@
+define([
+    "lib/util",
+    "lib/template/baseBranch",
+    "lib/template/expression",
+    "lib/template/paths"
+], function (
+    util,
+    makeBaseBranch,
+    expression,
+    paths
+) {
+
+    "use strict";
+
+    // Parameters are written as name=value where the value is a literal or a
+    // data path (see expression.parse).
+    const PARAM = /(\w+)=((["'`])[\s\S]*?\3|\S+)/g;
+
+    return function (tag) {
+
+        var parts = tag.args.match(/^(\S+)([\s\S]*)$/);
+        var params = {};
+        var translateBranch;
+
+        if (!parts) {
+            throw new SyntaxError("Expecting a message key in " + tag.source);
+        }
+
+        parts[2].replace(PARAM, function (ignore, name, value) {
+            params[name] = expression.parse(value);
+        });
+
+        translateBranch = util.Object.assign({}, makeBaseBranch(), {
+
+            type: "t",
+            // Translations have no content so they are never left open.
+            isVoid: true,
+            key: parts[1],
+            params: params,
+
+            getReferences: function () {
+
+                return [].concat(
+                    ...Object.values(params).map(expression.getPaths)
+                ).map(util.Function.curry(paths.reference, "placeholder"));
+
+            },
+
+            compile: function () {
+
+                var values = Object.keys(params).map(function (name) {
+                    return JSON.stringify(name) + ": "
+                            + expression.toSource(params[name]);
+                });
+
+                return "out += r.translate(" + JSON.stringify(parts[1]) + ", {"
+                        + values.join(", ") + "});\n";
+
+            }
+
+        });
+
+        return Object.freeze(translateBranch);
+
+    };
+
+});
@@ -1,31 +1,78 @@
 define([
+    "lib/util",
     "lib/template/baseBranch",
-    "lib/template/textBranch",
-    "lib/template/ifBranch",
-    "lib/template/eachBranch"
+    "lib/template/types"
 ], function (
+    util,
     makeBaseBranch,
-    makeTextBranch,
-    makeIfBranch,
-    makeEachBranch
+    types
 ) {
 
     "use strict";
 
-    return function () {
+    function toPaths(getReferences) {
+        return util.Array.unique(util.Array.pluck(getReferences(), "path"));
+    }
 
-        var types = {
-            each: makeEachBranch,
-            text: makeTextBranch,
-            "if": makeIfBranch,
-        };
+    return function (syntax) {
 
         var currentBranch;
+        var root;
+        // Top-level branches that start and end in the text of an element so
+        // that they can be rendered and patched on their own.
+        var marked = [];
+        var isStartInText = false;
+        // Functions that get the references of each part of the template
+        // (see [[runtime.create]]) and of everything outside of the parts.
+        var parts = [];
+        var others = [];
+        var collector = {
+
+            add: function (getReferences) {
+
+                parts.push(getReferences);
+
+                return parts.length - 1;
+
+            },
+
+            addOther: function (getReferences) {
+                others.push(getReferences);
+            }
+
+        };
+
+        function compileTopLevel(branch) {
+
+            var code;
+
+            if (branch.type === "text") {
+                return branch.compile(collector);
+            }
+
+            code = branch.compile();
+
+            if (marked.indexOf(branch) < 0) {
+
+                collector.addOther(branch.getReferences);
+
+                return code;
+
+            }
+
+            return "out += r.part(" + collector.add(branch.getReferences)
+                    + ", function () {\nvar out = \"\";\n" + code
+                    + "return out;\n});\n";
+
+        }
 
         var tree = {
 
             init: function () {
-                tree.setCurrentBranch(makeLevelBranch());
+
+                root = makeBaseBranch();
+                tree.setCurrentBranch(root);
+
             },
 
             setCurrentBranch: function (branch) {
@@ -36,42 +83,109 @@ define([
                 return currentBranch;
             },
 
-            openBranch: function (type, content) {
+            openBranch: function (type, tag, isInText) {
 
+                var factory = types.get(type);
+                var isTopLevel = currentBranch === root;
                 var newBranch;
 
-                if (!types[type]) {
-                    throw new ReferenceError("Unknown type " + type);
+                if (types.getSection(type)) {
+                    tree.openSection(type, tag);
+                } else {
+
+                    if (!factory) {
+                        throw new ReferenceError("Unknown type " + type);
+                    }
+
+                    newBranch = factory(tag, syntax);
+                    newBranch.setParent(currentBranch);
+                    tree.addBranch(newBranch);
+
+                    if (!newBranch.isVoid) {
+                        tree.setCurrentBranch(newBranch);
+                    }
+
+                    if (isTopLevel && newBranch.isVoid && isInText) {
+                        marked.push(newBranch);
+                    } else if (isTopLevel) {
+                        isStartInText = Boolean(isInText);
+                    }
+
                 }
 
-                newBranch = types[type](content);
-                newBranch.setParent(currentBranch);
-                tree.addBranch(newBranch);
-                tree.setCurrentBranch(newBranch);
+            },
+
+            openSection: function (type, tag) {
+
+                var parents = types.getSection(type);
+
+                if (parents.indexOf(currentBranch.type) < 0) {
+
+                    throw new SyntaxError(
+                        "Unexpected " + type + " outside of "
+                        + parents.join(" or ") + " branch"
+                    );
+
+                }
+
+                currentBranch.addSection(type, tag);
 
             },
 
-            closeBranch: function (type) {
+            closeBranch: function (type, isInText) {
 
+                var closing = currentBranch;
                 var branchType = currentBranch.type;
+                var end = type
+                    ? "end " + type
+                    : "end";
+
+                if (branchType === "base") {
+
+                    throw new SyntaxError(
+                        "Unexpected " + end + " with no open branch"
+                    );
+
+                }
 
                 if (branchType !== type) {
 
                     throw new SyntaxError(
-                        "Expecting type " + branchType + " but got " + type
+                        "Expecting end " + branchType + " but got " + end
                     );
 
                 }
 
                 tree.setCurrentBranch(currentBranch.getParent());
 
+                if (currentBranch === root && isStartInText && isInText) {
+                    marked.push(closing);
+                }
+
             },
 
             addBranch: function (branch) {
                 currentBranch.addBranch(branch);
             },
 
-            render: function (data) {
+            getReferences: function () {
+
+                var seen = {};
+
+                return currentBranch.getReferences().filter(function (ref) {
+
+                    var key = ref.kind + " " + ref.path;
+                    var isNew = !util.Object.owns(seen, key);
+
+                    seen[key] = true;
+
+                    return isNew;
+
+                });
+
+            },
+
+            compile: function () {
 
                 if (currentBranch.type !== "base") {
 
@@ -81,7 +195,24 @@ define([
 
                 }
 
-                return currentBranch.render(data);
+                parts = [];
+                others = [];
+
+                return "var out = \"\";\n"
+                        + root.branches.map(compileTopLevel).join("")
+                        + "return out;";
+
+            },
+
+            // The paths used by each part and those used outside of them.
+            getParts: function () {
+
+                return {
+                    parts: parts.map(toPaths),
+                    others: util.Array.unique(
+                        [].concat(...others.map(toPaths))
+                    )
+                };
 
             }
 
@@ -0,0 +1,149 @@
+define([
+    "lib/util",
+    "lib/template/ifBranch",
+    "lib/template/eachBranch",
+    "lib/template/includeBranch",
+    "lib/template/translateBranch",
+    "lib/template/awaitBranch"
+], function (
+    util,
+    makeIfBranch,
+    makeEachBranch,
+    makeIncludeBranch,
+    makeTranslateBranch,
+    makeAwaitBranch
+) {
+
+    "use strict";
+
+    var types = {};
+    var factories = {};
+    var sections = {};
+
+    /**
+     *  types.add(name, factory)
+     *  - name (String): Name of the branch type.
+     *  - factory (Function): Function that creates the branch.
+     *
+     *  Adds a branch type so that `${#name ...}` can be used in templates. The
+     *  `factory` is passed the opening tag and the syntax of the template (see
+     *  [[makeSyntax]]) and should return a branch built on `makeBaseBranch`.
+     *  The tag is an object with the `name` of the branch, its `args` (the
+     *  text after the name, or an empty string) and its `source` as it appears
+     *  in the template, which is useful for error messages. The branch needs a
+     *  `type` matching `name` and a `compile` method that returns the source
+     *  code which renders it.
+     *
+     *      types.add("upper", function (tag) {
+     *
+     *          var baseBranch = makeBaseBranch();
+     *
+     *          return util.Object.assign({}, baseBranch, {
+     *              type: "upper",
+     *              compile: function () {
+     *                  return "out += (function () {\n"
+     *                          + "var out = \"\";\n"
+     *                          + baseBranch.compile()
+     *                          + "return out.toUpperCase();\n"
+     *                          + "}());\n";
+     *              }
+     *          });
+     *
+     *      });
+     *
+     *  Branches that have no content (and therefore no `${#end name}`) should
+     *  have an `isVoid` property set to `true`. Most block types are simpler
+     *  to create with [[blocks.add]].
+     **/
+    function add(name, factory) {
+
+        if (typeof factory !== "function") {
+            throw new TypeError("Branch type " + name + " must be a function");
+        }
+
+        factories[name] = factory;
+
+    }
+
+    /**
+     *  types.addSection(name, type)
+     *  - name (String): Name of the section.
+     *  - type (String): Branch type that the section belongs to.
+     *
+     *  Allows `${#name ...}` to appear within a branch of the given `type`,
+     *  splitting the branch into sections (as `${#else}` does for `${#if}`).
+     *  The branch must have an `addSection` method, which is passed the name of
+     *  the section and the tag (as [[types.add]] describes).
+     *
+     *      types.addSection("else", "if");
+     *
+     *  The same section name may be used by more than one branch type.
+     **/
+    function addSection(name, type) {
+
+        if (!util.Object.owns(sections, name)) {
+            sections[name] = [];
+        }
+
+        if (sections[name].indexOf(type) < 0) {
+            sections[name].push(type);
+        }
+
+    }
+
+    /**
+     *  types.get(name) -> Function|undefined
+     *  - name (String): Name of the branch type.
+     *
+     *  Gets the factory for the named branch type.
+     **/
+    function get(name) {
+
+        return util.Object.owns(factories, name)
+            ? factories[name]
+            : undefined;
+
+    }
+
+    /**
+     *  types.getSection(name) -> Array|undefined
+     *  - name (String): Name of the section.
+     *
+     *  Gets the branch types that the named section may appear in or
+     *  `undefined` if `name` is not a section.
+     **/
+    function getSection(name) {
+
+        return util.Object.owns(sections, name)
+            ? sections[name].concat()
+            : undefined;
+
+    }
+
+    util.Object.each({
+        "await": makeAwaitBranch,
+        each: makeEachBranch,
+        "if": makeIfBranch,
+        include: makeIncludeBranch,
+        partial: makeIncludeBranch,
+        t: makeTranslateBranch
+    }, add);
+
+    util.Object.each({
+        "catch": "await",
+        "else": "if",
+        elseif: "if",
+        empty: "each",
+        then: "await"
+    }, addSection);
+
+    util.Object.assign(types, {
+        add: add,
+        addSection: addSection,
+        get: get,
+        getSection: getSection
+    });
+
+    return Object.freeze(types);
+
+});
@@ -375,7 +375,7 @@ define([
         from: core.arrayFrom,
         interpret: interpret,
         invoke: invoke,
-        isArrayLike: core.isArrayLike
+        isArrayLike: core.isArrayLike,
         isSimilar: core.isArraySimilar,
         last: last,
         makeInvoker: makeInvoker,
@@ -199,7 +199,7 @@ define([
         return String(b).localeCompare(a);
     }
 
-    util.Object.assign(sortBy, {
+    core.assign(sortBy, {
         asc: asc,
         desc: desc,
         propertyAsc: propertyAsc,
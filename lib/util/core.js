@@ -208,7 +208,7 @@ define(function () {
      **/
     var arrayUnique = function (array) {
 
-        return interpret(array).reduce(function (prev, curr) {
+        return arrayFrom(array).reduce(function (prev, curr) {
 
             if (prev.indexOf(curr) < 0) {
                 prev.push(curr);
@@ -487,7 +487,7 @@ define(function () {
                     isNumeric(object.length)
                     && object.length >= 0
                     && object.length < ARRAY_MAX_LENGTH
-                }
+                )
                 || (window.Symbol
                     ? getType(object[Symbol.iterator]) === "function"
                     : false)
@@ -825,8 +825,8 @@ define(function () {
      **/
     function arrayRemove(array, ...items) {
 
-        return filter(array, function (item) {
-            return items.indexOf(item) > -1;
+        return arrayFrom(array).filter(function (item) {
+            return items.indexOf(item) < 0;
         });
 
     }
@@ -939,6 +939,8 @@ define(function () {
         stringInterpret: stringInterpret,
         objectAccess: objectAccess,
         owns: owns,
+        randFloat: randFloat,
+        randInt: randInt,
         toPosInt: toPosInt
     });
 
@@ -133,8 +133,8 @@ define([
         identity: core.identity,
         interpret: interpret,
         isNative: core.isFunctionNative,
-        memoise: core.memoiseFunction,
-        memoize: core.memoiseFunction,
+        memoise: core.functionMemoise,
+        memoize: core.functionMemoise,
         negate: negate,
         noop: noop
     });
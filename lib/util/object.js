@@ -446,7 +446,7 @@ define([
                 case "array":
                     matches = core.isArraySimilar(original, value);
                     break;
-                case "nan"
+                case "nan":
                     matches = isNaN(original);
                     break;
                 default:
@@ -0,0 +1,90 @@
+define([
+    "assert",
+    "lib/async/decode",
+    "lib/async/response"
+], function (
+    assert,
+    decode,
+    response
+) {
+
+    "use strict";
+
+    function settle(settings, info) {
+
+        return new Promise(function (resolve, reject) {
+
+            response.settle(
+                Object.assign({validators: []}, settings),
+                info,
+                function (result) {
+                    resolve({resolved: result});
+                },
+                function (result) {
+                    resolve({rejected: result});
+                }
+            );
+
+        });
+
+    }
+
+    return {
+
+        "a decoder that throws rejects the request": function () {
+
+            var failure = new Error("Bad CSV");
+
+            decode.add("test-throws", function () {
+                throw failure;
+            });
+
+            return settle({decode: "test-throws"}, {
+                status: 200,
+                response: "a,b"
+            }).then(function (result) {
+
+                assert.strictEqual(result.resolved, undefined);
+                assert.strictEqual(result.rejected.status, 200);
+                assert.strictEqual(result.rejected.error, failure);
+
+            });
+
+        },
+
+        "a validator that throws rejects the request": function () {
+
+            return settle({
+                decode: "text",
+                validators: [function () {
+                    throw new TypeError("Not valid");
+                }]
+            }, {
+                status: 200,
+                response: "a"
+            }).then(function (result) {
+
+                assert.strictEqual(result.rejected.response, "a");
+                assert.ok(result.rejected.error instanceof TypeError);
+
+            });
+
+        },
+
+        "valid responses are resolved": function () {
+
+            return settle({
+                decode: "json",
+                validators: [response.validateStatus]
+            }, {
+                status: 200,
+                response: "{\"a\":1}"
+            }).then(function (result) {
+                assert.deepStrictEqual(result.resolved.response, {a: 1});
+            });
+
+        }
+
+    };
+
+});
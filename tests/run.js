@@ -0,0 +1,127 @@
+/*jslint node */
+// Runs the tests in Node, loading the AMD modules from the repository.
+//
+//     node tests/run.js
+//     node tests/run.js tests/util/string
+//
+// Each test module returns an object of test functions, which throw when
+// they fail or return a promise that rejects. Modules without a "/" in
+// their name, such as "assert", are loaded from Node.
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var root = path.resolve(__dirname, "..");
+var modules = {};
+
+function load(id) {
+
+    var name = id.replace(/\.js$/, "");
+    var file = path.join(root, name + ".js");
+    var definition;
+
+    function define(dependencies, factory) {
+
+        definition = typeof dependencies === "function"
+            ? {dependencies: [], factory: dependencies}
+            : {dependencies: dependencies, factory: factory};
+
+    }
+
+    if (name.indexOf("/") < 0) {
+        return require(name);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(modules, name)) {
+
+        vm.runInThisContext(
+            "(function (define) {" + fs.readFileSync(file, "utf8") + "\n})",
+            {filename: file}
+        )(define);
+        modules[name] = definition.factory.apply(
+            null,
+            definition.dependencies.map(load)
+        );
+
+    }
+
+    return modules[name];
+
+}
+
+function find(directory) {
+
+    return fs.readdirSync(path.join(root, directory)).reduce(function (
+        found,
+        entry
+    ) {
+
+        var name = directory + "/" + entry;
+
+        if (fs.statSync(path.join(root, name)).isDirectory()) {
+            return found.concat(find(name));
+        }
+
+        return (/\.js$/).test(entry) && name !== "tests/run.js"
+            ? found.concat(name.slice(0, -3))
+            : found;
+
+    }, []);
+
+}
+
+function run(suites) {
+
+    var failures = 0;
+
+    function report(name, error) {
+
+        failures += 1;
+        console.log("not ok - " + name);
+        console.log("    " + String((error && error.stack) || error));
+
+    }
+
+    return suites.reduce(function (previous, suite) {
+
+        var tests;
+
+        try {
+            tests = load(suite);
+        } catch (error) {
+
+            report(suite, error);
+
+            return previous;
+
+        }
+
+        return Object.keys(tests).reduce(function (before, test) {
+
+            return before.then(function () {
+                return tests[test]();
+            }).then(function () {
+                console.log("ok - " + suite + ": " + test);
+            }, function (error) {
+                report(suite + ": " + test, error);
+            });
+
+        }, previous);
+
+    }, Promise.resolve()).then(function () {
+        process.exitCode = failures ? 1 : 0;
+    });
+
+}
+
+// The modules expect to be run in a browser.
+global.window = global;
+
+run(
+    process.argv.length > 2
+        ? process.argv.slice(2)
+        : find("tests")
+);
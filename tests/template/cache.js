@@ -0,0 +1,65 @@
+define([
+    "assert",
+    "lib/template"
+], function (
+    assert,
+    template
+) {
+
+    "use strict";
+
+    return {
+
+        "the same source gives the same template": function () {
+
+            var options = {
+                open: "{{",
+                close: "}}"
+            };
+
+            assert.strictEqual(
+                template("<p>${a}</p>"),
+                template("<p>${a}</p>")
+            );
+            assert.notStrictEqual(
+                template("<p>${a}</p>"),
+                template("<p>${a}</p>", options)
+            );
+
+        },
+
+        "the least recently used templates are removed": function () {
+
+            var first = template("<p>first</p>");
+            var second = template("<p>second</p>");
+            var i = 0;
+
+            while (i < 99) {
+
+                template("<p>" + i + "</p>");
+                i += 1;
+
+                // Using the first template keeps it in the cache.
+                template("<p>first</p>");
+
+            }
+
+            assert.strictEqual(template("<p>first</p>"), first);
+            assert.notStrictEqual(template("<p>second</p>"), second);
+
+        },
+
+        "clearCache removes every template": function () {
+
+            var tmpl = template("<p>${a}</p>");
+
+            template.clearCache();
+
+            assert.notStrictEqual(template("<p>${a}</p>"), tmpl);
+            assert.strictEqual(tmpl.render({a: "b"}), "<p>b</p>");
+
+        }
+
+    };
+
+});
@@ -0,0 +1,103 @@
+define([
+    "assert",
+    "lib/template",
+    "lib/template/escape"
+], function (
+    assert,
+    template,
+    escape
+) {
+
+    "use strict";
+
+    return {
+
+        "a > within a quoted attribute doesn't end the tag": function () {
+
+            assert.strictEqual(
+                escape.getContext("<a title=\"x>y\" class="),
+                escape.ATTRIBUTE
+            );
+            assert.strictEqual(
+                template("<a title=\"x>y\" class=${c}>z</a>").render({
+                    c: "x onmouseover=alert(1)"
+                }),
+                "<a title=\"x>y\" class=x&#x20;onmouseover&#x3d;alert&#x28;1"
+                        + "&#x29;>z</a>"
+            );
+
+        },
+
+        "quotes within placeholders don't affect the context": function () {
+
+            assert.strictEqual(
+                template("<a title='${t | default:\"a\"}' class=${c}>").render({
+                    c: "b c"
+                }),
+                "<a title='a' class=b&#x20;c>"
+            );
+
+        },
+
+        "text outside tags and in comments is text": function () {
+
+            assert.strictEqual(escape.getContext("<p>a < b "), escape.TEXT);
+            assert.strictEqual(
+                escape.getContext("<a href=\"x\">"),
+                escape.TEXT
+            );
+            assert.strictEqual(
+                escape.getContext("<!-- <a href=\""),
+                escape.TEXT
+            );
+
+        },
+
+        "the start of a URL attribute is a URL": function () {
+
+            assert.strictEqual(escape.getContext("<a href=\""), escape.URL);
+            assert.strictEqual(escape.getContext("<img src='"), escape.URL);
+            assert.strictEqual(escape.getContext("<form action="), escape.URL);
+            assert.strictEqual(
+                escape.getContext("<a href=\"/search?q="),
+                escape.ATTRIBUTE
+            );
+
+        },
+
+        "javascript: URLs are rejected": function () {
+
+            assert.strictEqual(
+                template("<a href=\"${u}\">z</a>").render({
+                    u: "javascript:alert(1)"
+                }),
+                "<a href=\"about&#x3a;invalid\">z</a>"
+            );
+            assert.strictEqual(
+                escape.url(" JaVa\tScript:alert(1)"),
+                "about&#x3a;invalid"
+            );
+            assert.strictEqual(
+                escape.url("data:text/html,x"),
+                "about&#x3a;invalid"
+            );
+
+        },
+
+        "http, https, mailto and relative URLs are allowed": function () {
+
+            assert.strictEqual(
+                template("<img src=${u}>").render({u: "https://a.b/c"}),
+                "<img src=https&#x3a;&#x2f;&#x2f;a.b&#x2f;c>"
+            );
+            assert.strictEqual(
+                escape.url("mailto:a@b"),
+                "mailto&#x3a;a&#x40;b"
+            );
+            assert.strictEqual(escape.url("/a?b=1"), "&#x2f;a&#x3f;b&#x3d;1");
+
+        }
+
+    };
+
+});
@@ -0,0 +1,80 @@
+define([
+    "assert",
+    "lib/template",
+    "lib/template/escape",
+    "lib/template/runtime"
+], function (
+    assert,
+    template,
+    escape,
+    runtime
+) {
+
+    "use strict";
+
+    return {
+
+        "placeholders and branches in text are separate parts": function () {
+
+            assert.deepStrictEqual(
+                template(
+                    "<h1 class=\"${cls}\">${title}</h1>"
+                    + "${#if show}<p>${body}</p>${#end if}"
+                ).getParts(),
+                {
+                    parts: [["title"], ["show", "body"]],
+                    others: ["cls"]
+                }
+            );
+
+        },
+
+        "branches that don't start and end in text aren't parts": function () {
+
+            assert.deepStrictEqual(
+                template(
+                    "<p${#if a} class=\"b\"${#end if}>"
+                    + "<textarea>${#if c}d${#end if}</textarea></p>"
+                ).getParts(),
+                {
+                    parts: [],
+                    others: ["a", "c"]
+                }
+            );
+
+        },
+
+        "raw text elements aren't text": function () {
+
+            assert.strictEqual(escape.isInText("<p>"), true);
+            assert.strictEqual(escape.isInText("<p class="), false);
+            assert.strictEqual(escape.isInText("<textarea>"), false);
+            assert.strictEqual(escape.isInText("<script></script>"), true);
+
+        },
+
+        "parts are only marked when asked": function () {
+
+            var marked = {
+                rendered: {}
+            };
+            var render = function () {
+                return "a";
+            };
+
+            assert.strictEqual(runtime.create().part(0, render), "a");
+            assert.strictEqual(
+                runtime.create({}, marked).part(0, render),
+                "<!--template-part 0-->a<!--/template-part 0-->"
+            );
+            assert.deepStrictEqual(marked.rendered, {0: "a"});
+            assert.strictEqual(
+                runtime.create({}, {ids: [1], rendered: {}}).part(0, render),
+                ""
+            );
+
+        }
+
+    };
+
+});
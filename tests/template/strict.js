@@ -0,0 +1,104 @@
+define([
+    "assert",
+    "lib/template"
+], function (
+    assert,
+    template
+) {
+
+    "use strict";
+
+    function getMissing(source, data) {
+
+        try {
+            template(source).render(data, {strict: true});
+        } catch (error) {
+            return error.paths;
+        }
+
+        return [];
+
+    }
+
+    return {
+
+        "placeholders that can't be output are reported": function () {
+
+            assert.deepStrictEqual(getMissing("${name}", {}), ["name"]);
+            assert.deepStrictEqual(
+                getMissing("${user}", {user: {}}),
+                ["user"]
+            );
+            assert.deepStrictEqual(
+                getMissing("${name}", {name: null}),
+                ["name"]
+            );
+
+        },
+
+        "placeholders resolved by a filter aren't reported": function () {
+
+            assert.strictEqual(
+                template("${name | default:'x'}").render({}, {strict: true}),
+                "x"
+            );
+
+        },
+
+        "placeholders with a fallback aren't reported": function () {
+
+            assert.strictEqual(
+                template("<p>${name}</p>").render({}, {
+                    strict: true,
+                    fallback: "-"
+                }),
+                "<p>-</p>"
+            );
+
+        },
+
+        "conditions, collections and block values are reported": function () {
+
+            assert.deepStrictEqual(
+                getMissing("${#if user.isAdmn}A${#end if}", {user: {}}),
+                ["user.isAdmn"]
+            );
+            assert.deepStrictEqual(
+                getMissing("${#each items as item}${item}${#end each}", {}),
+                ["items"]
+            );
+            assert.deepStrictEqual(
+                getMissing("${#with user}${name}${#end with}", {}),
+                ["user"]
+            );
+
+        },
+
+        "else, empty and ? mark data that may be missing": function () {
+
+            assert.deepStrictEqual(
+                getMissing("${#if a}A${#elseif b}B${#else}C${#end if}", {}),
+                []
+            );
+            assert.deepStrictEqual(
+                getMissing("${#each items as i}${i}${#empty}-${#end each}", {}),
+                []
+            );
+            assert.deepStrictEqual(
+                getMissing("${#with user}${name}${#else}-${#end with}", {}),
+                []
+            );
+            assert.deepStrictEqual(
+                getMissing("${#if ?a || b}A${#end if}", {}),
+                ["b"]
+            );
+            assert.deepStrictEqual(
+                getMissing("${#each ?items as i}${i}${#end each}", {}),
+                []
+            );
+
+        }
+
+    };
+
+});
@@ -0,0 +1,40 @@
+define([
+    "assert",
+    "lib/template"
+], function (
+    assert,
+    template
+) {
+
+    "use strict";
+
+    var options = {
+        open: "{{",
+        close: "}}"
+    };
+
+    return {
+
+        "a } within the arguments of a tag doesn't end it": function () {
+
+            var tmpl = template(
+                "{{#if a == \"}\"}}yes{{#elseif a}}{{a}}{{#end if}}",
+                options
+            );
+
+            assert.strictEqual(tmpl.render({a: "}"}), "yes");
+            assert.strictEqual(tmpl.render({a: "b"}), "b");
+
+        },
+
+        "errors show the tag as it was written": function () {
+
+            assert.throws(function () {
+                template("{{#each items}}{{#end each}}", options);
+            }, /Expecting "path as name" in \{\{#each items\}\}/);
+
+        }
+
+    };
+
+});
@@ -0,0 +1,53 @@
+define([
+    "assert",
+    "lib/util"
+], function (
+    assert,
+    util
+) {
+
+    "use strict";
+
+    return {
+
+        "remove leaves out the given items": function () {
+
+            assert.deepStrictEqual(util.Array.remove([1, 2, 3], 2), [1, 3]);
+            assert.deepStrictEqual(util.Array.remove([1, 2, 1], 1), [2]);
+            assert.deepStrictEqual(util.Array.remove([1, 2, 3], 3, 2, 1), []);
+
+        },
+
+        "remove doesn't change the array": function () {
+
+            var array = ["g", "i", "m"];
+
+            util.Array.remove(array, "g");
+            assert.deepStrictEqual(array, ["g", "i", "m"]);
+
+        },
+
+        "unique removes duplicates": function () {
+
+            assert.deepStrictEqual(
+                util.Array.unique([1, 2, 1, 3, 2]),
+                [1, 2, 3]
+            );
+
+        },
+
+        "isArrayLike recognises arrays and array-like objects": function () {
+
+            assert.strictEqual(util.Array.isArrayLike([]), true);
+            assert.strictEqual(util.Array.isArrayLike(""), true);
+            assert.strictEqual(util.Array.isArrayLike({length: 0}), true);
+            assert.strictEqual(util.Array.isArrayLike({length: -1}), false);
+            assert.strictEqual(util.Array.isArrayLike({}), false);
+            assert.strictEqual(util.Array.isArrayLike(0), false);
+            assert.strictEqual(util.Array.isArrayLike(null), false);
+
+        }
+
+    };
+
+});
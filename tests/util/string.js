@@ -0,0 +1,44 @@
+define([
+    "assert",
+    "lib/util"
+], function (
+    assert,
+    util
+) {
+
+    "use strict";
+
+    return {
+
+        "tokenise splits a string around the matches": function () {
+
+            assert.deepStrictEqual(
+                util.String.tokenise("a<b>c<d>e", /<(\w+)>/),
+                ["a", "<b>", "c", "<d>", "e"]
+            );
+
+        },
+
+        "tokenise ignores the global flag": function () {
+
+            assert.deepStrictEqual(
+                util.String.tokenise("a<b>c", /<(\w+)>/g),
+                ["a", "<b>", "c"]
+            );
+
+        },
+
+        "tokenise converts the matches with the handler": function () {
+
+            assert.deepStrictEqual(
+                util.String.tokenise("a<b>c<d>e", /<(\w+)>/, function (match) {
+                    return "(" + match[1].toUpperCase() + ")";
+                }),
+                ["a", "(B)", "c", "(D)", "e"]
+            );
+
+        }
+
+    };
+
+});